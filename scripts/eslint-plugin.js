@@ -0,0 +1,157 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const {
+  updateImportsInFile,
+  resolvePolicyForFile,
+  parseAliasSources,
+} = require("./shorten-imports");
+const { version } = require("../package.json");
+
+const cachesByRoot = new Map();
+
+function getCaches(rootDir) {
+  let caches = cachesByRoot.get(rootDir);
+  if (!caches) {
+    caches = {
+      tsconfigCache: new Map(),
+      nodeModuleConflictCache: new Map(),
+      aliasConfigCache: new Map(),
+      workspaceCache: new Map(),
+      policyCache: new Map(),
+      generation: 0,
+      unownedFiles: new Map(),
+    };
+    cachesByRoot.set(rootDir, caches);
+  }
+  return caches;
+}
+
+function findShorterSpecifiers(context) {
+  const options = context.options[0] || {};
+  const cwd = context.cwd ?? context.getCwd();
+  const sourceCode = context.sourceCode ?? context.getSourceCode();
+  const rootDir = path.resolve(cwd, options.root || ".");
+  const filePath = path.resolve(cwd, context.filename ?? context.getFilename());
+  if (options.declarationFiles === "skip" && /\.d\.[cm]?ts$/.test(filePath)) {
+    return new Map();
+  }
+
+  let aliasSources;
+  try {
+    aliasSources = parseAliasSources(options.aliasSource || "all");
+  } catch (err) {
+    throw new Error(`Unknown aliasSource option: ${err.message}`);
+  }
+  let project = options.project ? path.resolve(rootDir, options.project) : null;
+  if (project && fs.existsSync(project) && fs.statSync(project).isDirectory()) {
+    project = path.join(project, "tsconfig.json");
+  }
+
+  const caches = getCaches(rootDir);
+  const onDisk = fs.existsSync(filePath);
+  const lint = () =>
+    updateImportsInFile(
+      filePath,
+      caches.tsconfigCache,
+      caches.nodeModuleConflictCache,
+      rootDir,
+      {
+        sourceText: sourceCode.text,
+        project,
+        // An unsaved buffer cannot be listed by its tsconfig yet.
+        membership: onDisk ? options.membership || "strict" : "off",
+        aliasSources,
+        aliasConfigCache: caches.aliasConfigCache,
+        workspaceCache: caches.workspaceCache,
+        index: options.index || "keep",
+        extensions: options.extensions || "keep",
+        normalize: Boolean(options.normalize),
+        policy: resolvePolicyForFile(
+          filePath,
+          rootDir,
+          { policy: options.policy, minParentDepth: options.minParentDepth },
+          caches.policyCache,
+        ),
+      },
+    );
+
+  let result = lint();
+  // Files created since the tsconfig was parsed are missing from its file
+  // list, so parse it again once before treating the file as excluded.
+  if (
+    result.unowned &&
+    caches.unownedFiles.get(filePath) !== caches.generation
+  ) {
+    caches.tsconfigCache.clear();
+    caches.generation++;
+    result = lint();
+    if (result.unowned) caches.unownedFiles.set(filePath, caches.generation);
+  }
+  return new Map(result.edits.map((e) => [e.start, e]));
+}
+
+const preferShortestAlias = {
+  meta: {
+    type: "suggestion",
+    docs: {
+      description:
+        "Prefer the shortest alias for import, export and dynamic import specifiers",
+    },
+    fixable: "code",
+    schema: [
+      {
+        type: "object",
+        properties: {
+          root: { type: "string" },
+          policy: { enum: ["shortest", "always-alias", "parent-depth"] },
+          minParentDepth: { type: "integer", minimum: 0 },
+          declarationFiles: { enum: ["rewrite", "skip"] },
+          project: { type: "string" },
+          membership: { enum: ["strict", "fallback", "off"] },
+          aliasSource: { type: "string" },
+          index: { enum: ["keep", "collapse"] },
+          extensions: { enum: ["keep", "add", "remove"] },
+          normalize: { type: "boolean" },
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      preferAlias: 'Use "{{to}}" instead of "{{from}}".',
+    },
+  },
+  create(context) {
+    let edits = null;
+
+    function check(node) {
+      const source = node.source;
+      if (!source || source.type !== "Literal") return;
+      if (typeof source.value !== "string") return;
+      if (!edits) edits = findShorterSpecifiers(context);
+      const edit = edits.get(source.range[0] + 1);
+      if (!edit || edit.from !== source.value) return;
+      context.report({
+        node: source,
+        messageId: "preferAlias",
+        data: { from: edit.from, to: edit.to },
+        fix: (fixer) => fixer.replaceTextRange([edit.start, edit.end], edit.to),
+      });
+    }
+
+    return {
+      ImportDeclaration: check,
+      ExportNamedDeclaration: check,
+      ExportAllDeclaration: check,
+      ImportExpression: check,
+    };
+  },
+};
+
+module.exports = {
+  meta: { name: "shorten-imports", version },
+  rules: {
+    "prefer-shortest-alias": preferShortestAlias,
+  },
+};
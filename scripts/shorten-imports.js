@@ -3,10 +3,137 @@
 
 const fs = require("fs");
 const path = require("path");
+const { execFileSync } = require("child_process");
 const ts = require("typescript");
 const ignore = require("ignore");
 
-const SUPPORTED_EXTS = new Set([".ts", ".tsx", ".js", ".jsx"]);
+const SUPPORTED_EXTS = new Set([
+  ".ts",
+  ".tsx",
+  ".js",
+  ".jsx",
+  ".mts",
+  ".cts",
+  ".mjs",
+  ".cjs",
+]);
+const RESOLVE_EXTS = [
+  ".ts",
+  ".tsx",
+  ".d.ts",
+  ".js",
+  ".jsx",
+  ".mts",
+  ".d.mts",
+  ".cts",
+  ".d.cts",
+  ".mjs",
+  ".cjs",
+];
+const SOURCE_EXTS_FOR_OUTPUT = {
+  ".js": [".ts", ".tsx", ".d.ts"],
+  ".jsx": [".tsx"],
+  ".mjs": [".mts", ".d.mts"],
+  ".cjs": [".cts", ".d.cts"],
+};
+const OUTPUT_EXTS = {
+  ".ts": ".js",
+  ".tsx": ".js",
+  ".mts": ".mjs",
+  ".cts": ".cjs",
+};
+const DECLARATION_FILE_POLICIES = new Set(["rewrite", "skip"]);
+const MEMBERSHIP_MODES = new Set(["strict", "fallback", "off"]);
+const ALIAS_SOURCES = new Set(["paths", "imports", "vite", "webpack", "babel"]);
+const ALIAS_PROVIDERS = {
+  vite: {
+    files: [
+      "vite.config.ts",
+      "vite.config.mts",
+      "vite.config.js",
+      "vite.config.mjs",
+      "vite.config.cjs",
+    ],
+    read: (config) => readBundlerAliases(config),
+  },
+  webpack: {
+    files: [
+      "webpack.config.js",
+      "webpack.config.cjs",
+      "webpack.config.mjs",
+      "webpack.config.ts",
+    ],
+    read: (config) => readBundlerAliases(config),
+  },
+  babel: {
+    files: [
+      ".babelrc",
+      ".babelrc.json",
+      "babel.config.json",
+      "babel.config.js",
+      "babel.config.cjs",
+    ],
+    read: (config) => readBabelAliases(config),
+  },
+};
+const MODULE_REFERENCE_CALLS = {
+  jest: new Set([
+    "mock",
+    "unmock",
+    "doMock",
+    "dontMock",
+    "setMock",
+    "requireActual",
+    "requireMock",
+    "createMockFromModule",
+    "genMockFromModule",
+  ]),
+  vi: new Set([
+    "mock",
+    "unmock",
+    "doMock",
+    "doUnmock",
+    "importActual",
+    "importMock",
+  ]),
+};
+const IMPLICIT_PROJECT = Symbol("implicit project");
+const TEST_ALIAS_MODES = new Set(["warn", "error", "off"]);
+const INDEX_MODES = new Set(["keep", "collapse"]);
+const EXTENSION_MODES = new Set(["keep", "add", "remove"]);
+const TEST_RUNNERS = {
+  jest: {
+    files: [
+      "jest.config.js",
+      "jest.config.ts",
+      "jest.config.mjs",
+      "jest.config.cjs",
+      "jest.config.json",
+    ],
+    load: (configPath) => loadJestResolver(configPath),
+  },
+  vitest: {
+    files: [
+      "vitest.config.ts",
+      "vitest.config.mts",
+      "vitest.config.js",
+      "vitest.config.mjs",
+      ...ALIAS_PROVIDERS.vite.files,
+    ],
+    load: (configPath) => loadVitestResolver(configPath),
+  },
+};
+const SCRIPT_EXTRACTORS = {
+  ".vue": (text) => extractHtmlScriptRegions(text, "js"),
+  ".svelte": (text) => extractHtmlScriptRegions(text, "js"),
+  ".astro": extractAstroScriptRegions,
+};
+const SCRIPT_KINDS = {
+  ts: ts.ScriptKind.TS,
+  tsx: ts.ScriptKind.TSX,
+  js: ts.ScriptKind.JS,
+  jsx: ts.ScriptKind.JSX,
+};
 const DEFAULT_IGNORES = new Set([
   "node_modules",
   ".git",
@@ -23,23 +150,163 @@ function toPosix(p) {
 }
 
 function stripExt(p) {
-  return p.replace(/\.(tsx?|jsx?)$/, "");
+  if (isDeclarationFile(p)) return p;
+  return p.replace(/\.([cm]?[tj]s|[tj]sx)$/, "");
 }
 
 function hasImportExt(spec) {
-  return /\.(tsx?|jsx?)$/.test(spec);
+  return /\.([cm]?[tj]s|[tj]sx)$/.test(spec);
+}
+
+function toOutputExt(spec, options) {
+  if (isDeclarationFile(spec)) return spec;
+  const ext = path.extname(spec);
+  if (!OUTPUT_EXTS[ext]) return spec;
+  const outputExt =
+    ext === ".tsx" && options.jsx === ts.JsxEmit.Preserve
+      ? ".jsx"
+      : OUTPUT_EXTS[ext];
+  return `${spec.slice(0, -ext.length)}${outputExt}`;
+}
+
+function stripModuleExt(p) {
+  return p.replace(/(\.d)?\.([cm]?[tj]s|[tj]sx)$/, "");
+}
+
+function cleanSpecifierSegments(spec) {
+  if (!isRelative(spec)) {
+    return spec.replace(/\/(\.\/)+/g, "/").replace(/\/{2,}/g, "/");
+  }
+  const normalized = path.posix.normalize(spec).replace(/(.)\/$/, "$1");
+  if (
+    normalized === "." ||
+    normalized === ".." ||
+    normalized.startsWith("../")
+  ) {
+    return normalized;
+  }
+  return `./${normalized}`;
+}
+
+function collapseIndexSpecifier(spec) {
+  if (!spec.includes("/")) return spec;
+  return spec.replace(/\/index(\.([cm]?[tj]s|[tj]sx))?$/, "");
+}
+
+function getImportExt(targetFile, options) {
+  if (options.allowImportingTsExtensions && !isDeclarationFile(targetFile)) {
+    return path.extname(targetFile);
+  }
+  const sourceFile = targetFile.replace(/\.d(\.[cm]?ts)$/, "$1");
+  return path.extname(toOutputExt(sourceFile, options));
+}
+
+function applyExtensionPolicy(spec, targetFile, extensions, options) {
+  if (extensions === "remove") {
+    return hasImportExt(spec) ? stripExt(spec) : spec;
+  }
+  if (
+    extensions === "add" &&
+    hasImportExt(targetFile) &&
+    !hasImportExt(spec) &&
+    path.extname(spec) !== path.extname(targetFile)
+  ) {
+    const ext = getImportExt(targetFile, options);
+    const pointsAtDir =
+      path.basename(stripModuleExt(targetFile)) === "index" &&
+      !/(^|\/)index$/.test(spec);
+    return pointsAtDir ? `${spec}/index${ext}` : `${spec}${ext}`;
+  }
+  return spec;
+}
+
+function getSpecifierVariants(spec, targetFile, shape, options) {
+  const cleaned = cleanSpecifierSegments(spec);
+  const shaped = applyExtensionPolicy(
+    cleaned,
+    targetFile,
+    shape.extensions,
+    options,
+  );
+  const variants = [];
+  if (shape.index === "collapse") variants.push(collapseIndexSpecifier(shaped));
+  variants.push(shaped, cleaned);
+  return Array.from(new Set(variants));
+}
+
+function isDeclarationFile(p) {
+  return /\.d\.[cm]?ts$/.test(p);
 }
 
 function isRelative(spec) {
   return spec.startsWith(".");
 }
 
+function toRelativeSpecifier(fromDir, targetAbs) {
+  const rel = toPosix(path.relative(fromDir, targetAbs));
+  if (!rel) return ".";
+  if (rel === ".." || rel.startsWith("../")) return rel;
+  return `./${rel}`;
+}
+
+const REPORTERS = new Set(["text", "json"]);
+const POLICIES = new Set(["shortest", "always-alias", "parent-depth"]);
+const POLICY_CONFIG_FILE = ".shorten-imports.json";
+const WATCHED_CONFIG_FILES = new Set([
+  ".gitignore",
+  "package.json",
+  "pnpm-workspace.yaml",
+  POLICY_CONFIG_FILE,
+]);
+
+function isFlag(arg, flag) {
+  return arg === flag || arg.startsWith(`${flag}=`);
+}
+
+function readFlagValue(argv, i, flag) {
+  const arg = argv[i];
+  if (arg.startsWith(`${flag}=`)) {
+    return { value: arg.slice(flag.length + 1), next: i };
+  }
+  const value = argv[i + 1];
+  if (value === undefined || value.startsWith("--")) {
+    console.error(`Missing value for ${flag}`);
+    process.exit(1);
+  }
+  return { value, next: i + 1 };
+}
+
 function parseArgs(argv) {
   const args = {
     root: null,
     write: false,
     dryRun: false,
+    check: false,
+    diff: false,
     verbose: false,
+    reporter: "text",
+    reportFile: null,
+    expand: false,
+    expandAlias: null,
+    policy: null,
+    minParentDepth: null,
+    declarationFiles: "rewrite",
+    project: null,
+    membership: "strict",
+    fixBroken: false,
+    aliasSource: "all",
+    testAliases: "warn",
+    index: "keep",
+    extensions: "keep",
+    normalize: false,
+    paths: [],
+    include: [],
+    exclude: [],
+    changed: null,
+    staged: false,
+    stdin: false,
+    stdinFilepath: null,
+    watch: false,
     postProcessUpdatedPathReferences: false,
   };
 
@@ -47,19 +314,112 @@ function parseArgs(argv) {
     const arg = argv[i];
     if (arg === "--write") args.write = true;
     else if (arg === "--dry-run") args.dryRun = true;
+    else if (arg === "--check") args.check = true;
+    else if (arg === "--diff") args.diff = true;
     else if (arg === "--verbose") args.verbose = true;
+    else if (arg === "--fix-broken") args.fixBroken = true;
+    else if (arg === "--normalize") args.normalize = true;
+    else if (arg === "--staged") args.staged = true;
+    else if (arg === "--stdin") args.stdin = true;
+    else if (arg === "--watch") args.watch = true;
     else if (arg === "--update-refs") {
       args.postProcessUpdatedPathReferences = true;
-    } else if (!args.root) args.root = arg;
-    else {
+    } else if (arg === "--expand") {
+      args.expand = true;
+    } else if (arg.startsWith("--expand=")) {
+      args.expand = true;
+      args.expandAlias = arg.slice("--expand=".length);
+    } else if (isFlag(arg, "--changed")) {
+      // The ref is optional, so a following non-flag argument is the ref.
+      const next = argv[i + 1];
+      if (
+        arg !== "--changed" ||
+        (next !== undefined && !next.startsWith("--"))
+      ) {
+        ({ value: args.changed, next: i } = readFlagValue(
+          argv,
+          i,
+          "--changed",
+        ));
+      } else {
+        args.changed = "HEAD";
+      }
+    } else if (isFlag(arg, "--stdin-filepath")) {
+      ({ value: args.stdinFilepath, next: i } = readFlagValue(
+        argv,
+        i,
+        "--stdin-filepath",
+      ));
+    } else if (isFlag(arg, "--include")) {
+      let value;
+      ({ value, next: i } = readFlagValue(argv, i, "--include"));
+      args.include.push(value);
+    } else if (isFlag(arg, "--exclude")) {
+      let value;
+      ({ value, next: i } = readFlagValue(argv, i, "--exclude"));
+      args.exclude.push(value);
+    } else if (isFlag(arg, "--policy")) {
+      ({ value: args.policy, next: i } = readFlagValue(argv, i, "--policy"));
+    } else if (isFlag(arg, "--min-parent-depth")) {
+      let value;
+      ({ value, next: i } = readFlagValue(argv, i, "--min-parent-depth"));
+      args.minParentDepth = Number(value);
+    } else if (isFlag(arg, "--project")) {
+      ({ value: args.project, next: i } = readFlagValue(argv, i, "--project"));
+    } else if (isFlag(arg, "--membership")) {
+      ({ value: args.membership, next: i } = readFlagValue(
+        argv,
+        i,
+        "--membership",
+      ));
+    } else if (isFlag(arg, "--alias-source")) {
+      ({ value: args.aliasSource, next: i } = readFlagValue(
+        argv,
+        i,
+        "--alias-source",
+      ));
+    } else if (isFlag(arg, "--test-aliases")) {
+      ({ value: args.testAliases, next: i } = readFlagValue(
+        argv,
+        i,
+        "--test-aliases",
+      ));
+    } else if (isFlag(arg, "--index")) {
+      ({ value: args.index, next: i } = readFlagValue(argv, i, "--index"));
+    } else if (isFlag(arg, "--extensions")) {
+      ({ value: args.extensions, next: i } = readFlagValue(
+        argv,
+        i,
+        "--extensions",
+      ));
+    } else if (isFlag(arg, "--declaration-files")) {
+      ({ value: args.declarationFiles, next: i } = readFlagValue(
+        argv,
+        i,
+        "--declaration-files",
+      ));
+    } else if (isFlag(arg, "--reporter")) {
+      ({ value: args.reporter, next: i } = readFlagValue(
+        argv,
+        i,
+        "--reporter",
+      ));
+    } else if (isFlag(arg, "--report-file")) {
+      ({ value: args.reportFile, next: i } = readFlagValue(
+        argv,
+        i,
+        "--report-file",
+      ));
+    } else if (arg.startsWith("--")) {
       console.error(`Unknown arg: ${arg}`);
       process.exit(1);
-    }
+    } else if (!args.root) args.root = arg;
+    else args.paths.push(path.resolve(arg));
   }
 
   if (!args.root) {
     console.error(
-      "Usage: node scripts/shorten-imports.js <repoRoot> [--write] [--dry-run] [--verbose] [--update-refs]",
+      "Usage: node scripts/shorten-imports.js <repoRoot> [<path>...] [--write] [--dry-run] [--check] [--diff] [--verbose] [--update-refs] [--expand[=<alias>]] [--policy shortest|always-alias|parent-depth] [--min-parent-depth <n>] [--declaration-files rewrite|skip] [--project <tsconfig>] [--membership strict|fallback|off] [--fix-broken] [--alias-source all|<source>,...] [--test-aliases warn|error|off] [--index keep|collapse] [--extensions keep|add|remove] [--normalize] [--include <glob>] [--exclude <glob>] [--changed [<ref>]] [--staged] [--stdin --stdin-filepath <path>] [--watch] [--reporter text|json] [--report-file <path>]",
     );
     process.exit(1);
   }
@@ -69,15 +429,134 @@ function parseArgs(argv) {
     process.exit(1);
   }
 
+  if (args.write && args.check) {
+    console.error("--check is read-only and cannot be combined with --write.");
+    process.exit(1);
+  }
+
+  if (
+    args.watch &&
+    (args.stdin ||
+      args.check ||
+      args.diff ||
+      args.reporter !== "text" ||
+      args.reportFile ||
+      args.changed ||
+      args.staged)
+  ) {
+    console.error(
+      "--watch cannot be combined with --stdin, --check, --diff, --reporter, --report-file, --changed or --staged.",
+    );
+    process.exit(1);
+  }
+
+  if (args.stdin !== Boolean(args.stdinFilepath)) {
+    console.error("--stdin and --stdin-filepath must be used together.");
+    process.exit(1);
+  }
+
+  if (
+    args.stdin &&
+    (args.write ||
+      args.check ||
+      args.diff ||
+      args.reporter !== "text" ||
+      args.reportFile ||
+      args.paths.length > 0 ||
+      args.changed ||
+      args.staged)
+  ) {
+    console.error(
+      "--stdin prints the rewritten text and cannot be combined with --write, --check, --diff, --reporter, --report-file, paths, --changed or --staged.",
+    );
+    process.exit(1);
+  }
+
+  try {
+    validatePolicy(
+      { policy: args.policy, minParentDepth: args.minParentDepth },
+      "command line",
+    );
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  if (!DECLARATION_FILE_POLICIES.has(args.declarationFiles)) {
+    console.error(
+      `Unknown --declaration-files value: ${args.declarationFiles} (expected ${Array.from(DECLARATION_FILE_POLICIES).join(" or ")})`,
+    );
+    process.exit(1);
+  }
+
+  if (!MEMBERSHIP_MODES.has(args.membership)) {
+    console.error(
+      `Unknown --membership value: ${args.membership} (expected ${Array.from(MEMBERSHIP_MODES).join(", ")})`,
+    );
+    process.exit(1);
+  }
+
+  try {
+    parseAliasSources(args.aliasSource);
+  } catch (err) {
+    console.error(`Unknown --alias-source value: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (!TEST_ALIAS_MODES.has(args.testAliases)) {
+    console.error(
+      `Unknown --test-aliases value: ${args.testAliases} (expected ${Array.from(TEST_ALIAS_MODES).join(", ")})`,
+    );
+    process.exit(1);
+  }
+
+  if (!INDEX_MODES.has(args.index)) {
+    console.error(
+      `Unknown --index value: ${args.index} (expected ${Array.from(INDEX_MODES).join(" or ")})`,
+    );
+    process.exit(1);
+  }
+
+  if (!EXTENSION_MODES.has(args.extensions)) {
+    console.error(
+      `Unknown --extensions value: ${args.extensions} (expected ${Array.from(EXTENSION_MODES).join(", ")})`,
+    );
+    process.exit(1);
+  }
+
+  if (!REPORTERS.has(args.reporter)) {
+    console.error(
+      `Unknown reporter: ${args.reporter} (expected ${Array.from(REPORTERS).join(" or ")})`,
+    );
+    process.exit(1);
+  }
+
+  if (args.reporter === "json" && args.diff && !args.reportFile) {
+    console.error(
+      "--diff cannot be combined with --reporter json unless --report-file is set.",
+    );
+    process.exit(1);
+  }
+
   return args;
 }
 
 function findNearestTsconfig(startDir, rootDir) {
+  return findNearestFile(startDir, rootDir, "tsconfig.json");
+}
+
+function findNearestFile(startDir, rootDir, fileName) {
+  return findNearestFileOf(startDir, rootDir, [fileName]);
+}
+
+function findNearestFileOf(startDir, rootDir, fileNames) {
   let current = startDir;
   const root = path.resolve(rootDir);
   while (true) {
-    const candidate = path.join(current, "tsconfig.json");
-    if (fs.existsSync(candidate)) return candidate;
+    for (const fileName of fileNames) {
+      const candidate = path.join(current, fileName);
+      if (fs.existsSync(candidate)) return candidate;
+    }
     if (current === root) break;
     const parent = path.dirname(current);
     if (parent === current) break;
@@ -86,7 +565,83 @@ function findNearestTsconfig(startDir, rootDir) {
   return null;
 }
 
-function loadTsconfig(tsconfigPath) {
+function parseAliasSources(value) {
+  if (value === "all") return ALIAS_SOURCES;
+  const sources = new Set(String(value).split(","));
+  for (const source of sources) {
+    if (!ALIAS_SOURCES.has(source)) {
+      throw new Error(
+        `${source} (expected all or a comma-separated list of ${Array.from(ALIAS_SOURCES).join(", ")})`,
+      );
+    }
+  }
+  return sources;
+}
+
+function validatePolicy(config, source) {
+  if (config.policy != null && !POLICIES.has(config.policy)) {
+    throw new Error(
+      `Unknown policy "${config.policy}" in ${source} (expected ${Array.from(POLICIES).join(", ")})`,
+    );
+  }
+  if (
+    config.minParentDepth != null &&
+    !(Number.isInteger(config.minParentDepth) && config.minParentDepth >= 0)
+  ) {
+    throw new Error(
+      `minParentDepth in ${source} must be a non-negative integer, got ${config.minParentDepth}`,
+    );
+  }
+  return config;
+}
+
+function loadPolicyConfig(configPath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (err) {
+    throw new Error(`Failed to parse ${configPath}: ${err.message}`);
+  }
+  return validatePolicy(
+    { policy: config.policy, minParentDepth: config.minParentDepth },
+    configPath,
+  );
+}
+
+function resolvePolicyForFile(filePath, rootDir, defaults, cache) {
+  const configPath = findNearestFile(
+    path.dirname(filePath),
+    rootDir,
+    POLICY_CONFIG_FILE,
+  );
+  let config = {};
+  if (configPath) {
+    config = cache.get(configPath);
+    if (!config) {
+      config = loadPolicyConfig(configPath);
+      cache.set(configPath, config);
+    }
+  }
+  return {
+    policy: config.policy || defaults.policy || "shortest",
+    minParentDepth: config.minParentDepth ?? defaults.minParentDepth ?? 1,
+  };
+}
+
+function getParentDepth(spec) {
+  const segments = path.posix.normalize(spec).split("/");
+  let depth = 0;
+  while (segments[depth] === "..") depth++;
+  return depth;
+}
+
+function shouldUseAlias(spec, alias, { policy, minParentDepth }) {
+  if (policy === "always-alias") return true;
+  if (policy === "parent-depth") return getParentDepth(spec) >= minParentDepth;
+  return alias.length < spec.length;
+}
+
+function loadTsconfig(tsconfigPath, extraExtensions = []) {
   const configFile = ts.readConfigFile(tsconfigPath, ts.sys.readFile);
   if (configFile.error) {
     const message = ts.formatDiagnostic(configFile.error, {
@@ -104,151 +659,626 @@ function loadTsconfig(tsconfigPath) {
     basePath,
     undefined,
     tsconfigPath,
+    undefined,
+    extraExtensions.map((extension) => ({
+      extension,
+      isMixedContent: false,
+      scriptKind: ts.ScriptKind.Deferred,
+    })),
   );
 
   return {
     basePath,
     options: parsed.options,
+    fileNames: new Set(parsed.fileNames.map((f) => path.resolve(f))),
+    references: (parsed.projectReferences || []).map((ref) =>
+      ts.resolveProjectReferencePath(ref),
+    ),
   };
 }
 
-function buildAliasMatchers(tsconfigPath, rootDir) {
-  const { basePath, options } = loadTsconfig(tsconfigPath);
-  const baseUrl = options.baseUrl
-    ? path.resolve(basePath, options.baseUrl)
-    : path.resolve(rootDir);
-  const paths = options.paths || {};
-
-  if (Object.keys(paths).length === 0) {
-    return null;
-  }
-
-  const matchers = [];
+function getMembershipExtensions(extractors) {
+  return [".js", ".jsx", ".mjs", ".cjs", ...Object.keys(extractors)];
+}
 
-  for (const [aliasPattern, targetPatterns] of Object.entries(paths)) {
-    if (!Array.isArray(targetPatterns)) continue;
-    for (const targetPattern of targetPatterns) {
-      const alias = parseStarPattern(aliasPattern);
-      const target = parseStarPattern(targetPattern);
-      if (!alias || !target) continue;
-
-      const targetPrefixAbs = path.resolve(baseUrl, target.prefix);
-      const targetSuffix = target.suffix;
-
-      matchers.push({
-        aliasPrefix: alias.prefix,
-        aliasSuffix: alias.suffix,
-        targetPrefixAbs,
-        targetSuffix,
-        hasStar: alias.hasStar,
-      });
+function getProject(tsconfigPath, rootDir, tsconfigCache, extraExtensions) {
+  let project = tsconfigCache.get(tsconfigPath);
+  if (!project) {
+    try {
+      const config = loadTsconfig(tsconfigPath, extraExtensions);
+      project = {
+        tsconfigPath,
+        ...config,
+        aliasInfo: createAliasMatchers(config, rootDir),
+      };
+    } catch (err) {
+      throw new Error(`Failed to parse ${tsconfigPath}: ${err.message}`);
     }
+    tsconfigCache.set(tsconfigPath, project);
   }
-
-  return { baseUrl, matchers };
+  return project;
 }
 
-function parseStarPattern(pattern) {
-  const idx = pattern.indexOf("*");
-  if (idx === -1) {
-    return { prefix: pattern, suffix: "", hasStar: false };
+function getImplicitProject(rootDir, tsconfigCache) {
+  if (!tsconfigCache.has(IMPLICIT_PROJECT)) {
+    tsconfigCache.set(IMPLICIT_PROJECT, {
+      tsconfigPath: null,
+      basePath: path.resolve(rootDir),
+      options: {
+        allowJs: true,
+        jsx: ts.JsxEmit.Preserve,
+        module: ts.ModuleKind.ESNext,
+        moduleResolution: ts.ModuleResolutionKind.Bundler,
+      },
+      fileNames: new Set(),
+      references: [],
+      aliasInfo: null,
+    });
   }
-  const prefix = pattern.slice(0, idx);
-  const suffix = pattern.slice(idx + 1);
-  return { prefix, suffix, hasStar: true };
+  return tsconfigCache.get(IMPLICIT_PROJECT);
 }
 
-function isWithinRoot(rootDir, targetAbs) {
-  const rel = path.relative(rootDir, targetAbs);
-  if (!rel) return true;
-  return !rel.startsWith("..") && !path.isAbsolute(rel);
+function projectIncludesFile(project, fileAbs) {
+  if (project.fileNames.has(fileAbs)) return true;
+  // TypeScript drops `x.js` from fileNames when `x.ts` sits next to it.
+  const stem = stripExt(fileAbs);
+  if (stem === fileAbs) return false;
+  return RESOLVE_EXTS.some((ext) => project.fileNames.has(`${stem}${ext}`));
 }
 
-function resolveExistingModulePath(targetAbs) {
-  if (fs.existsSync(targetAbs)) return targetAbs;
-
-  if (path.extname(targetAbs)) {
-    return null;
-  }
-
-  for (const ext of SUPPORTED_EXTS) {
-    const withExt = `${targetAbs}${ext}`;
-    if (fs.existsSync(withExt)) return withExt;
-  }
-
-  for (const ext of SUPPORTED_EXTS) {
-    const indexFile = path.join(targetAbs, `index${ext}`);
-    if (fs.existsSync(indexFile)) return indexFile;
+function getResolutionCache(project) {
+  if (!project.resolutionCache) {
+    project.resolutionCache = ts.createModuleResolutionCache(
+      project.basePath,
+      (fileName) => fileName,
+      project.options,
+    );
   }
+  return project.resolutionCache;
+}
 
-  return null;
+function resolveWithTypeScript(spec, containingFile, project, usage) {
+  const resolutionMode = usage
+    ? ts.getModeForUsageLocation(containingFile, usage, project.options)
+    : undefined;
+  const { resolvedModule } = ts.resolveModuleName(
+    spec,
+    containingFile.fileName,
+    project.options,
+    ts.sys,
+    getResolutionCache(project),
+    undefined,
+    resolutionMode,
+  );
+  return resolvedModule ? path.resolve(resolvedModule.resolvedFileName) : null;
 }
 
-function getPackageNameFromSpecifier(spec) {
-  if (!spec) return null;
-  const parts = spec.split("/");
-  if (spec.startsWith("@")) {
-    if (parts.length < 2) return null;
-    return `${parts[0]}/${parts[1]}`;
+function findOwningProject(
+  tsconfigPath,
+  filePath,
+  rootDir,
+  tsconfigCache,
+  extraExtensions,
+) {
+  const seen = new Set();
+
+  function search(configPath) {
+    if (seen.has(configPath) || !fs.existsSync(configPath)) return null;
+    seen.add(configPath);
+    const project = getProject(
+      configPath,
+      rootDir,
+      tsconfigCache,
+      extraExtensions,
+    );
+    for (const reference of project.references) {
+      const owner = search(reference);
+      if (owner) return owner;
+    }
+    return projectIncludesFile(project, filePath) ? configPath : null;
   }
-  return parts[0] || null;
-}
 
-function hasNodeModulesPackage(packageName, startDir, rootDir, cache) {
-  const cacheKey = `${startDir}::${packageName}`;
-  if (cache.has(cacheKey)) return cache.get(cacheKey);
+  return search(tsconfigPath);
+}
 
+function findOwningProjectUpwards(
+  startDir,
+  filePath,
+  rootDir,
+  tsconfigCache,
+  extraExtensions,
+) {
   let current = startDir;
   const root = path.resolve(rootDir);
-  const packageSegments = packageName.split("/");
-  let found = false;
-
   while (true) {
-    const candidate = path.join(current, "node_modules", ...packageSegments);
-    if (fs.existsSync(candidate)) {
-      found = true;
-      break;
+    const names = fs.existsSync(current) ? fs.readdirSync(current) : [];
+    const candidates = names
+      .filter((name) => /^tsconfig(\..+)?\.json$/.test(name))
+      .sort((a, b) => a.length - b.length || a.localeCompare(b));
+    for (const name of candidates) {
+      const owner = findOwningProject(
+        path.join(current, name),
+        filePath,
+        rootDir,
+        tsconfigCache,
+        extraExtensions,
+      );
+      if (owner) return owner;
     }
     if (current === root) break;
     const parent = path.dirname(current);
     if (parent === current) break;
     current = parent;
   }
-
-  cache.set(cacheKey, found);
-  return found;
+  return null;
 }
 
-function buildAliasForTarget(targetAbs, matchers, keepExt) {
-  const candidates = [];
+function resolveTsconfigForFile(filePath, rootDir, tsconfigCache, options) {
+  const { project = null, membership = "strict", extraExtensions } = options;
+  const fileAbs = path.resolve(filePath);
+  const fileDir = path.dirname(fileAbs);
+  const searchUpwards = () =>
+    findOwningProjectUpwards(
+      fileDir,
+      fileAbs,
+      rootDir,
+      tsconfigCache,
+      extraExtensions,
+    );
 
-  for (const m of matchers) {
-    const targetPrefix = m.targetPrefixAbs;
-    const targetSuffix = m.targetSuffix;
+  const startConfig = project
+    ? path.resolve(project)
+    : findNearestTsconfig(fileDir, rootDir);
+  if (!startConfig) {
+    const owner = searchUpwards();
+    return owner ? { tsconfigPath: owner, owned: true } : null;
+  }
 
-    if (!targetAbs.startsWith(targetPrefix)) continue;
+  const owner = findOwningProject(
+    startConfig,
+    fileAbs,
+    rootDir,
+    tsconfigCache,
+    extraExtensions,
+  );
+  if (owner) return { tsconfigPath: owner, owned: true };
+  if (membership === "off") return { tsconfigPath: startConfig, owned: true };
+  if (membership === "fallback") {
+    const fallback = searchUpwards();
+    if (fallback) return { tsconfigPath: fallback, owned: true };
+  }
+  return { tsconfigPath: startConfig, owned: false };
+}
 
-    const remainder = targetAbs.slice(targetPrefix.length);
-    if (targetSuffix && !remainder.endsWith(targetSuffix)) continue;
+function buildAliasMatchers(tsconfigPath, rootDir) {
+  return createAliasMatchers(loadTsconfig(tsconfigPath), rootDir);
+}
 
-    const inner = targetSuffix
-      ? remainder.slice(0, -targetSuffix.length)
-      : remainder;
+function createAliasMatchers({ basePath, options }, rootDir) {
+  const baseUrl = options.baseUrl
+    ? path.resolve(basePath, options.baseUrl)
+    : path.resolve(rootDir);
+  const paths = options.paths || {};
 
-    const innerPosix = toPosix(inner).replace(/^\//, "");
-    const aliasPath = `${m.aliasPrefix}${m.hasStar ? innerPosix : ""}${m.aliasSuffix}`;
+  if (Object.keys(paths).length === 0) {
+    return null;
+  }
 
-    const finalAlias = keepExt ? aliasPath : stripExt(aliasPath);
-    candidates.push(finalAlias);
+  const matchers = [];
+
+  for (const [aliasPattern, targetPatterns] of Object.entries(paths)) {
+    if (!Array.isArray(targetPatterns)) continue;
+    for (const targetPattern of targetPatterns) {
+      matchers.push(
+        createMatcher(aliasPattern, targetPattern, baseUrl, "paths"),
+      );
+    }
   }
 
-  if (candidates.length === 0) return null;
+  return { baseUrl, matchers };
+}
 
-  candidates.sort((a, b) => a.length - b.length || a.localeCompare(b));
-  return candidates[0];
+function createMatcher(aliasPattern, targetPattern, baseDir, source) {
+  const alias = parseStarPattern(aliasPattern);
+  const target = parseStarPattern(targetPattern);
+  return {
+    aliasPattern,
+    targetPattern,
+    aliasPrefix: alias.prefix,
+    aliasSuffix: alias.suffix,
+    targetPrefixAbs: path.resolve(baseDir, target.prefix),
+    targetSuffix: target.suffix,
+    hasStar: alias.hasStar,
+    baseDir,
+    source,
+  };
+}
+
+function collectPackageImportTargets(target, targets = []) {
+  if (typeof target === "string") {
+    if (target.startsWith("./")) targets.push(target);
+  } else if (Array.isArray(target)) {
+    for (const t of target) collectPackageImportTargets(t, targets);
+  } else if (target && typeof target === "object") {
+    for (const t of Object.values(target)) {
+      collectPackageImportTargets(t, targets);
+    }
+  }
+  return targets;
+}
+
+function readPackageJson(packageJsonPath) {
+  try {
+    return JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+  } catch (err) {
+    throw new Error(`Failed to parse ${packageJsonPath}: ${err.message}`);
+  }
+}
+
+function supportsPackageImports(options) {
+  const kind = ts.getEmitModuleResolutionKind(options);
+  return (
+    kind === ts.ModuleResolutionKind.Node16 ||
+    kind === ts.ModuleResolutionKind.NodeNext ||
+    kind === ts.ModuleResolutionKind.Bundler
+  );
+}
+
+function requiresFullSpecifiers(options, impliedNodeFormat) {
+  const kind = ts.getEmitModuleResolutionKind(options);
+  return (
+    (kind === ts.ModuleResolutionKind.Node16 ||
+      kind === ts.ModuleResolutionKind.NodeNext) &&
+    impliedNodeFormat === ts.ModuleKind.ESNext
+  );
+}
+
+function getPackageImportMatchers(startDir, rootDir, cache) {
+  const packageJsonPath = findNearestFile(startDir, rootDir, "package.json");
+  if (!packageJsonPath) return [];
+  if (cache.has(packageJsonPath)) return cache.get(packageJsonPath);
+
+  const matchers = [];
+  const { imports } = readPackageJson(packageJsonPath);
+  const packageDir = path.dirname(packageJsonPath);
+  for (const [aliasPattern, target] of Object.entries(imports || {})) {
+    if (!aliasPattern.startsWith("#")) continue;
+    const targetPatterns = Array.from(
+      new Set(collectPackageImportTargets(target)),
+    );
+    for (const targetPattern of targetPatterns) {
+      if (aliasPattern.includes("*") !== targetPattern.includes("*")) continue;
+      matchers.push(
+        createMatcher(aliasPattern, targetPattern, packageDir, "imports"),
+      );
+    }
+  }
+
+  cache.set(packageJsonPath, matchers);
+  return matchers;
+}
+
+function findWorkspace(dir, rootDir, cache) {
+  if (cache.has(dir)) return cache.get(dir);
+  let workspace = null;
+  const patterns = readWorkspacePatterns(dir);
+  if (patterns) {
+    workspace = loadWorkspace(dir, patterns);
+  } else if (dir !== path.resolve(rootDir) && path.dirname(dir) !== dir) {
+    workspace = findWorkspace(path.dirname(dir), rootDir, cache);
+  }
+  cache.set(dir, workspace);
+  return workspace;
+}
+
+function readWorkspacePatterns(dir) {
+  const pnpmWorkspacePath = path.join(dir, "pnpm-workspace.yaml");
+  if (fs.existsSync(pnpmWorkspacePath)) {
+    return parsePnpmWorkspacePackages(
+      fs.readFileSync(pnpmWorkspacePath, "utf8"),
+    );
+  }
+  const packageJsonPath = path.join(dir, "package.json");
+  if (!fs.existsSync(packageJsonPath)) return null;
+  const { workspaces } = readPackageJson(packageJsonPath);
+  if (Array.isArray(workspaces)) return workspaces;
+  if (workspaces && Array.isArray(workspaces.packages)) {
+    return workspaces.packages;
+  }
+  return null;
+}
+
+function parsePnpmWorkspacePackages(text) {
+  const patterns = [];
+  let inPackages = false;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/(^|\s)#.*$/, "");
+    if (!line.trim()) continue;
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      const inline = line.match(/\[(.*)\]/);
+      if (inline) {
+        patterns.push(
+          ...inline[1]
+            .split(",")
+            .map((p) => p.trim().replace(/^(['"])(.*)\1$/, "$2"))
+            .filter(Boolean),
+        );
+        break;
+      }
+      continue;
+    }
+    if (!inPackages) continue;
+    if (/^\S/.test(line)) break;
+    const item = line.match(/^\s*-\s*(['"]?)(.+?)\1\s*$/);
+    if (item) patterns.push(item[2]);
+  }
+  return patterns;
+}
+
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/^\.\//, "")
+    .replace(/\/+$/, "")
+    .split("**")
+    .map((part) =>
+      part
+        .split("*")
+        .map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join("[^/]*"),
+    )
+    .join(".*")
+    .replace(/\.\*\//g, "(?:.*/)?");
+  return new RegExp(`^${source}$`);
+}
+
+function loadWorkspace(dir, patterns) {
+  const include = patterns.filter((p) => !p.startsWith("!")).map(globToRegExp);
+  const exclude = patterns
+    .filter((p) => p.startsWith("!"))
+    .map((p) => globToRegExp(p.slice(1)));
+  const packages = [];
+
+  const visit = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      if (!entry.isDirectory() || DEFAULT_IGNORES.has(entry.name)) continue;
+      const packageDir = path.join(current, entry.name);
+      const rel = toPosix(path.relative(dir, packageDir));
+      const packageJsonPath = path.join(packageDir, "package.json");
+      if (
+        include.some((re) => re.test(rel)) &&
+        !exclude.some((re) => re.test(rel)) &&
+        fs.existsSync(packageJsonPath)
+      ) {
+        const manifest = readPackageJson(packageJsonPath);
+        if (manifest.name) {
+          packages.push({ dir: packageDir, name: manifest.name, manifest });
+        }
+      }
+      visit(packageDir);
+    }
+  };
+  visit(dir);
+
+  packages.sort((a, b) => b.dir.length - a.dir.length);
+  return { dir, packages };
+}
+
+function findWorkspacePackage(workspace, fileAbs) {
+  return (
+    workspace.packages.find((pkg) => isWithinRoot(pkg.dir, fileAbs)) || null
+  );
+}
+
+function collectWorkspaceSpecifiers(pkg, fileAbs) {
+  const rel = toPosix(path.relative(pkg.dir, fileAbs));
+  const variants = Array.from(
+    new Set([rel, toOutputExt(rel, {}), stripModuleExt(rel)]),
+  );
+  const { exports } = pkg.manifest;
+  const specifiers = new Set();
+
+  if (exports === undefined || exports === null) {
+    const entries = [
+      pkg.manifest.main,
+      pkg.manifest.module,
+      pkg.manifest.types,
+      pkg.manifest.typings,
+    ].filter((entry) => typeof entry === "string");
+    if (
+      entries.some((entry) =>
+        variants.includes(toPosix(path.posix.normalize(entry))),
+      )
+    ) {
+      specifiers.add(pkg.name);
+    }
+    specifiers.add(`${pkg.name}/${stripModuleExt(rel)}`);
+    return sortSpecifiers(specifiers);
+  }
+
+  const subpaths =
+    typeof exports === "string" ||
+    Array.isArray(exports) ||
+    !Object.keys(exports).some((key) => key.startsWith("."))
+      ? { ".": exports }
+      : exports;
+  for (const [subpath, target] of Object.entries(subpaths)) {
+    if (!subpath.startsWith(".")) continue;
+    for (const targetPattern of collectPackageImportTargets(target)) {
+      if (subpath.includes("*") !== targetPattern.includes("*")) continue;
+      const [prefix, suffix = ""] = targetPattern.slice(2).split("*");
+      for (const variant of variants) {
+        if (!subpath.includes("*")) {
+          if (variant !== prefix) continue;
+        } else if (
+          variant.length <= prefix.length + suffix.length ||
+          !variant.startsWith(prefix) ||
+          !variant.endsWith(suffix)
+        ) {
+          continue;
+        }
+        const inner = variant.slice(
+          prefix.length,
+          variant.length - suffix.length,
+        );
+        const exported = subpath.replace("*", inner);
+        specifiers.add(
+          exported === "." ? pkg.name : `${pkg.name}/${exported.slice(2)}`,
+        );
+      }
+    }
+  }
+  return sortSpecifiers(specifiers);
+}
+
+function sortSpecifiers(specifiers) {
+  return Array.from(specifiers).sort(
+    (a, b) => a.length - b.length || a.localeCompare(b),
+  );
+}
+
+function parseStarPattern(pattern) {
+  const idx = pattern.indexOf("*");
+  if (idx === -1) {
+    return { prefix: pattern, suffix: "", hasStar: false };
+  }
+  const prefix = pattern.slice(0, idx);
+  const suffix = pattern.slice(idx + 1);
+  return { prefix, suffix, hasStar: true };
+}
+
+function isWithinRoot(rootDir, targetAbs) {
+  const rel = path.relative(rootDir, targetAbs);
+  if (!rel) return true;
+  return !rel.startsWith("..") && !path.isAbsolute(rel);
+}
+
+function resolveExistingModulePath(targetAbs) {
+  const stat = fs.statSync(targetAbs, { throwIfNoEntry: false });
+  if (stat && stat.isFile()) return targetAbs;
+
+  const ext = path.extname(targetAbs);
+  if (!stat && SOURCE_EXTS_FOR_OUTPUT[ext]) {
+    const stem = targetAbs.slice(0, -ext.length);
+    for (const sourceExt of SOURCE_EXTS_FOR_OUTPUT[ext]) {
+      if (fs.existsSync(`${stem}${sourceExt}`)) return `${stem}${sourceExt}`;
+    }
+    return null;
+  }
+  if (!stat && hasImportExt(targetAbs)) {
+    return null;
+  }
+
+  for (const ext of RESOLVE_EXTS) {
+    const withExt = `${targetAbs}${ext}`;
+    if (fs.existsSync(withExt)) return withExt;
+  }
+
+  if (!stat) return null;
+
+  for (const ext of RESOLVE_EXTS) {
+    const indexFile = path.join(targetAbs, `index${ext}`);
+    if (fs.existsSync(indexFile)) return indexFile;
+  }
+
+  return null;
+}
+
+function getPackageNameFromSpecifier(spec) {
+  if (!spec) return null;
+  const parts = spec.split("/");
+  if (spec.startsWith("@")) {
+    if (parts.length < 2) return null;
+    return `${parts[0]}/${parts[1]}`;
+  }
+  return parts[0] || null;
+}
+
+function hasNodeModulesPackage(packageName, startDir, rootDir, cache) {
+  const cacheKey = `${startDir}::${packageName}`;
+  if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+  let current = startDir;
+  const root = path.resolve(rootDir);
+  const packageSegments = packageName.split("/");
+  let found = false;
+
+  while (true) {
+    const candidate = path.join(current, "node_modules", ...packageSegments);
+    if (fs.existsSync(candidate)) {
+      found = true;
+      break;
+    }
+    if (current === root) break;
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    current = parent;
+  }
+
+  cache.set(cacheKey, found);
+  return found;
+}
+
+function sortCandidates(candidates) {
+  return candidates.sort(
+    (a, b) => a.alias.length - b.alias.length || a.alias.localeCompare(b.alias),
+  );
+}
+
+function pickShortestCandidate(candidates) {
+  return sortCandidates(candidates)[0] || null;
+}
+
+function buildAliasForTarget(targetAbs, matchers, keepExt) {
+  const match = matchAliasForTarget(targetAbs, matchers, keepExt);
+  return match ? match.alias : null;
+}
+
+function matchAliasForTarget(targetAbs, matchers, keepExt) {
+  return pickShortestCandidate(
+    collectAliasCandidates(targetAbs, matchers, keepExt),
+  );
+}
+
+function collectAliasCandidates(targetAbs, matchers, keepExt) {
+  const candidates = [];
+
+  for (const m of matchers) {
+    const targetPrefix = m.targetPrefixAbs;
+    const targetSuffix = m.targetSuffix;
+
+    if (!targetAbs.startsWith(targetPrefix)) continue;
+
+    const remainder = targetAbs.slice(targetPrefix.length);
+    if (!m.hasStar && remainder) continue;
+    if (targetSuffix && !remainder.endsWith(targetSuffix)) continue;
+
+    const inner = targetSuffix
+      ? remainder.slice(0, -targetSuffix.length)
+      : remainder;
+
+    const innerPosix = toPosix(inner).replace(/^\//, "");
+    const aliasPath = `${m.aliasPrefix}${m.hasStar ? innerPosix : ""}${m.aliasSuffix}`;
+
+    const finalAlias = keepExt ? aliasPath : stripExt(aliasPath);
+    candidates.push({ alias: finalAlias, matcher: m });
+  }
+
+  return sortCandidates(candidates);
 }
 
 function resolveBareAlias(spec, matchers, baseUrl, rootDir, keepExt) {
+  const match = matchBareAlias(spec, matchers, baseUrl, rootDir, keepExt);
+  return match ? match.alias : null;
+}
+
+function matchBareAlias(spec, matchers, baseUrl, rootDir, keepExt) {
+  return pickShortestCandidate(
+    collectBareAliasCandidates(spec, matchers, baseUrl, rootDir, keepExt),
+  );
+}
+
+function collectBareAliasCandidates(spec, matchers, baseUrl, rootDir, keepExt) {
   const candidates = [];
 
   for (const m of matchers) {
@@ -267,7 +1297,11 @@ function resolveBareAlias(spec, matchers, baseUrl, rootDir, keepExt) {
 
       const aliasPath = `${m.aliasPrefix}${spec}${m.aliasSuffix}`;
       const finalAlias = keepExt ? aliasPath : stripExt(aliasPath);
-      candidates.push(finalAlias);
+      candidates.push({
+        alias: finalAlias,
+        matcher: m,
+        targetAbs: resolvedTargetAbs,
+      });
     } else {
       const unresolvedTargetAbs = path.resolve(
         m.targetPrefixAbs,
@@ -282,13 +1316,478 @@ function resolveBareAlias(spec, matchers, baseUrl, rootDir, keepExt) {
 
       const aliasPath = `${m.aliasPrefix}${m.aliasSuffix}`;
       const finalAlias = keepExt ? aliasPath : stripExt(aliasPath);
-      candidates.push(finalAlias);
+      candidates.push({
+        alias: finalAlias,
+        matcher: m,
+        targetAbs: resolvedTargetAbs,
+      });
+    }
+  }
+
+  return sortCandidates(candidates);
+}
+
+function findAliasProviderMatchers(startDir, rootDir, sources, cache) {
+  const matchers = [];
+  for (const [source, provider] of Object.entries(ALIAS_PROVIDERS)) {
+    if (!sources.has(source)) continue;
+    const configPath = findNearestFileOf(startDir, rootDir, provider.files);
+    if (!configPath) continue;
+    if (!cache.has(configPath)) {
+      const configDir = path.dirname(configPath);
+      const entries = provider.read(loadAliasProviderConfig(configPath));
+      cache.set(configPath, createProviderMatchers(entries, configDir, source));
+    }
+    matchers.push(...cache.get(configPath));
+  }
+  return matchers;
+}
+
+function loadAliasProviderConfig(configPath) {
+  const text = fs.readFileSync(configPath, "utf8");
+  if (/(\.json|\.babelrc)$/.test(configPath)) {
+    const { config, error } = ts.parseConfigFileTextToJson(configPath, text);
+    if (error) {
+      throw new Error(
+        `Failed to parse ${configPath}: ${ts.flattenDiagnosticMessageText(error.messageText, "\n")}`,
+      );
+    }
+    return config;
+  }
+
+  const sourceFile = ts.createSourceFile(
+    configPath,
+    text,
+    ts.ScriptTarget.Latest,
+    true,
+  );
+  const scope = { dirname: path.dirname(configPath), bindings: new Map() };
+  let exported;
+  for (const statement of sourceFile.statements) {
+    if (ts.isVariableStatement(statement)) {
+      for (const decl of statement.declarationList.declarations) {
+        if (ts.isIdentifier(decl.name) && decl.initializer) {
+          scope.bindings.set(decl.name.text, decl.initializer);
+        }
+      }
+    } else if (ts.isExportAssignment(statement)) {
+      exported = statement.expression;
+    } else if (
+      ts.isExpressionStatement(statement) &&
+      ts.isBinaryExpression(statement.expression) &&
+      statement.expression.operatorToken.kind === ts.SyntaxKind.EqualsToken &&
+      statement.expression.left.getText() === "module.exports"
+    ) {
+      exported = statement.expression.right;
+    }
+  }
+  return evaluateStatic(exported, scope, 0);
+}
+
+function evaluateStatic(node, scope, depth) {
+  if (!node || depth > 50) return undefined;
+  const next = (child) => evaluateStatic(child, scope, depth + 1);
+
+  if (
+    ts.isParenthesizedExpression(node) ||
+    ts.isAsExpression(node) ||
+    ts.isSatisfiesExpression(node)
+  ) {
+    return next(node.expression);
+  }
+  if (ts.isStringLiteralLike(node)) return node.text;
+  if (ts.isNumericLiteral(node)) return Number(node.text);
+  if (node.kind === ts.SyntaxKind.TrueKeyword) return true;
+  if (node.kind === ts.SyntaxKind.FalseKeyword) return false;
+  if (ts.isIdentifier(node)) {
+    if (node.text === "__dirname") return scope.dirname;
+    return next(scope.bindings.get(node.text));
+  }
+  if (ts.isTemplateExpression(node)) {
+    let text = node.head.text;
+    for (const span of node.templateSpans) {
+      const value = next(span.expression);
+      if (typeof value !== "string") return undefined;
+      text += value + span.literal.text;
+    }
+    return text;
+  }
+  if (
+    ts.isBinaryExpression(node) &&
+    node.operatorToken.kind === ts.SyntaxKind.PlusToken
+  ) {
+    const left = next(node.left);
+    const right = next(node.right);
+    return typeof left === "string" && typeof right === "string"
+      ? left + right
+      : undefined;
+  }
+  if (ts.isObjectLiteralExpression(node)) {
+    const object = {};
+    for (const prop of node.properties) {
+      if (ts.isPropertyAssignment(prop)) {
+        if (ts.isIdentifier(prop.name) || ts.isStringLiteralLike(prop.name)) {
+          object[prop.name.text] = next(prop.initializer);
+        }
+      } else if (ts.isShorthandPropertyAssignment(prop)) {
+        object[prop.name.text] = next(prop.name);
+      } else if (ts.isSpreadAssignment(prop)) {
+        const spread = next(prop.expression);
+        if (spread && typeof spread === "object") Object.assign(object, spread);
+      }
+    }
+    return object;
+  }
+  if (ts.isArrayLiteralExpression(node)) {
+    return node.elements.map(next);
+  }
+  if (ts.isArrowFunction(node) || ts.isFunctionExpression(node)) {
+    if (!ts.isBlock(node.body)) return next(node.body);
+    const returned = node.body.statements.find(ts.isReturnStatement);
+    return returned ? next(returned.expression) : undefined;
+  }
+  if (ts.isPropertyAccessExpression(node)) {
+    const text = node.getText();
+    if (text === "import.meta.dirname") return scope.dirname;
+    const object = next(node.expression);
+    if (typeof object === "string" && node.name.text === "pathname") {
+      return object;
+    }
+    return object && typeof object === "object"
+      ? object[node.name.text]
+      : undefined;
+  }
+  if (ts.isNewExpression(node) && node.expression.getText() === "URL") {
+    const [spec, base] = node.arguments || [];
+    const value = next(spec);
+    if (typeof value !== "string" || !base) return undefined;
+    return base.getText() === "import.meta.url"
+      ? path.resolve(scope.dirname, value)
+      : undefined;
+  }
+  if (ts.isCallExpression(node)) {
+    const callee = node.expression.getText();
+    const args = node.arguments.map(next);
+    if (callee === "process.cwd") return scope.dirname;
+    if (/(^|\.)defineConfig$/.test(callee) || /fileURLToPath$/.test(callee)) {
+      return args[0];
+    }
+    if (!args.every((arg) => typeof arg === "string")) return undefined;
+    if (/^(path\.)?(posix\.)?resolve$/.test(callee)) {
+      return path.resolve(scope.dirname, ...args);
+    }
+    if (/^(path\.)?(posix\.)?join$/.test(callee)) return path.join(...args);
+  }
+  return undefined;
+}
+
+function readBundlerAliases(config) {
+  const entries = [];
+  for (const c of [].concat(config)) {
+    const alias = c && c.resolve && c.resolve.alias;
+    if (Array.isArray(alias)) {
+      for (const entry of alias) {
+        if (entry && typeof entry.find === "string") {
+          entries.push([entry.find, entry.replacement]);
+        }
+      }
+    } else if (alias && typeof alias === "object") {
+      entries.push(...Object.entries(alias));
+    }
+  }
+  return entries;
+}
+
+function readBabelAliases(config) {
+  const entries = [];
+  for (const plugin of (config && config.plugins) || []) {
+    if (!Array.isArray(plugin)) continue;
+    const [name, pluginOptions] = plugin;
+    if (name !== "module-resolver" && name !== "babel-plugin-module-resolver") {
+      continue;
+    }
+    if (pluginOptions && pluginOptions.alias) {
+      entries.push(...Object.entries(pluginOptions.alias));
+    }
+  }
+  return entries;
+}
+
+function createProviderMatchers(entries, configDir, source) {
+  const matchers = [];
+  for (const [key, target] of entries) {
+    if (!key || key.startsWith("^")) continue;
+    for (const t of [].concat(target)) {
+      if (typeof t !== "string") continue;
+      if (!t.startsWith(".") && !path.isAbsolute(t)) continue;
+      const targetAbs =
+        t.startsWith("/") && !fs.existsSync(t)
+          ? path.join(configDir, t)
+          : path.resolve(configDir, t);
+      const targetPattern = toRelativeSpecifier(configDir, targetAbs);
+      const exactOnly = key.endsWith("$");
+      const alias = key.replace(/[$/]$/, "");
+      if (!key.endsWith("/")) {
+        matchers.push(createMatcher(alias, targetPattern, configDir, source));
+      }
+      if (!exactOnly) {
+        matchers.push(
+          createMatcher(`${alias}/*`, `${targetPattern}/*`, configDir, source),
+        );
+      }
+    }
+  }
+  return matchers;
+}
+
+function resolveMappedPath(mapped, baseDir) {
+  if (typeof mapped !== "string") return null;
+  if (path.isAbsolute(mapped)) {
+    return (
+      resolveExistingModulePath(mapped) ||
+      resolveExistingModulePath(path.join(baseDir, mapped))
+    );
+  }
+  if (!mapped.startsWith(".")) return null;
+  return resolveExistingModulePath(path.resolve(baseDir, mapped));
+}
+
+function isStaticValue(value) {
+  if (value === undefined) return false;
+  if (!value || typeof value !== "object") return true;
+  return Object.values(value).every(isStaticValue);
+}
+
+// Returns a reason string instead of a resolver when the config cannot be
+// read statically, so its mappings are not mistaken for missing ones.
+function getUnverifiableJestReason(config) {
+  if (!config || typeof config !== "object") {
+    return "its exported config is not static";
+  }
+  for (const key of ["moduleNameMapper", "preset"]) {
+    if (key in config && !isStaticValue(config[key])) {
+      return `${key} is not static`;
+    }
+  }
+  if ("projects" in config) return "projects are not followed";
+  return null;
+}
+
+function loadJestResolver(configPath) {
+  const config = loadAliasProviderConfig(configPath);
+  const reason = getUnverifiableJestReason(config);
+  if (reason) return reason;
+  const configDir = path.dirname(configPath);
+  const rootDir =
+    typeof config.rootDir === "string"
+      ? path.resolve(configDir, config.rootDir)
+      : configDir;
+  const expandRootDir = (p) => p.replace(/<rootDir>/g, rootDir);
+  const mappers = Object.entries(config.moduleNameMapper || {});
+  const directories = [
+    ...(config.modulePaths || []),
+    ...(config.moduleDirectories || []),
+  ].filter((dir) => typeof dir === "string" && dir !== "node_modules");
+
+  return (spec) => {
+    for (const [pattern, replacement] of mappers) {
+      let regex;
+      try {
+        regex = new RegExp(pattern);
+      } catch {
+        continue;
+      }
+      if (!regex.test(spec)) continue;
+      for (const r of [].concat(replacement)) {
+        if (typeof r !== "string") continue;
+        const file = resolveMappedPath(
+          expandRootDir(spec.replace(regex, r)),
+          rootDir,
+        );
+        if (file) return file;
+      }
+      return null;
+    }
+    for (const dir of directories) {
+      const file = resolveExistingModulePath(
+        path.resolve(rootDir, expandRootDir(dir), spec),
+      );
+      if (file) return file;
+    }
+    return null;
+  };
+}
+
+function getUnverifiableVitestReason(config) {
+  if (!config || typeof config !== "object") {
+    return "its exported config is not static";
+  }
+  for (const key of ["resolve", "test"]) {
+    if (!(key in config)) continue;
+    const value = config[key];
+    if (!value || typeof value !== "object") return `${key} is not static`;
+    if ("alias" in value && !isStaticValue(value.alias)) {
+      return `${key}.alias is not static`;
+    }
+  }
+  return null;
+}
+
+function loadVitestResolver(configPath) {
+  const text = fs.readFileSync(configPath, "utf8");
+  if (/vite-tsconfig-paths/.test(text)) return null;
+  const config = loadAliasProviderConfig(configPath);
+  const isViteConfig = path.basename(configPath).startsWith("vite.");
+  const reason = getUnverifiableVitestReason(config);
+  // A Vite config only matters to Vitest when it has a `test` section.
+  if (isViteConfig && (reason ? !/\btest\s*:/.test(text) : !config.test)) {
+    return null;
+  }
+  if (reason) return reason;
+  const configDir = path.dirname(configPath);
+  const entries = [
+    ...readBundlerAliases({
+      resolve: { alias: config.test && config.test.alias },
+    }),
+    ...readBundlerAliases(config),
+  ];
+
+  return (spec) => {
+    for (const [find, replacement] of entries) {
+      if (typeof find !== "string" || !find) continue;
+      const prefix = find.endsWith("/") ? find : `${find}/`;
+      if (spec !== find && !spec.startsWith(prefix)) continue;
+      if (typeof replacement !== "string") return null;
+      return resolveMappedPath(
+        replacement + spec.slice(find.length),
+        configDir,
+      );
+    }
+    return null;
+  };
+}
+
+function findTestAliasGaps(files, rootDir, cache) {
+  const gaps = [];
+  const unverified = [];
+  const checked = new Set();
+  for (const { file, edits } of files) {
+    const fileDir = path.dirname(file);
+    for (const [runner, { files: configFiles, load }] of Object.entries(
+      TEST_RUNNERS,
+    )) {
+      const configPath = findNearestFileOf(fileDir, rootDir, configFiles);
+      if (!configPath) continue;
+      if (!cache.has(configPath)) {
+        const resolver = load(configPath);
+        if (typeof resolver === "string") {
+          unverified.push({ runner, config: configPath, reason: resolver });
+        }
+        cache.set(configPath, resolver);
+      }
+      const resolveSpec = cache.get(configPath);
+      if (typeof resolveSpec !== "function") continue;
+
+      for (const e of edits) {
+        if (e.phase !== "imports" || !e.target || !e.source) continue;
+        if (e.source === "imports") continue;
+        const key = `${configPath}\0${e.to}`;
+        if (checked.has(key)) continue;
+        checked.add(key);
+        const resolvedTo = resolveSpec(e.to);
+        if (resolvedTo === e.target) continue;
+        gaps.push({
+          runner,
+          config: configPath,
+          file,
+          line: e.line,
+          column: e.column,
+          alias: e.to,
+          pattern: e.pattern,
+          expected: e.target,
+          resolvedTo,
+        });
+      }
+    }
+  }
+  return { gaps, unverified };
+}
+
+// `~c/*`, `~c/` and `~c` all name the alias whose pattern is `~c/*`.
+function isAliasNamed(matcher, name) {
+  return (
+    matcher.aliasPattern === name ||
+    matcher.aliasPrefix === name ||
+    matcher.aliasPrefix === `${name}/`
+  );
+}
+
+function matchTargetForAlias(spec, matchers, rootDir, onlyAlias) {
+  const ordered = matchers
+    .filter((m) => !onlyAlias || isAliasNamed(m, onlyAlias))
+    .sort((a, b) => b.aliasPrefix.length - a.aliasPrefix.length);
+
+  for (const m of ordered) {
+    let targetAbs;
+    if (m.hasStar) {
+      if (spec.length < m.aliasPrefix.length + m.aliasSuffix.length) continue;
+      if (!spec.startsWith(m.aliasPrefix) || !spec.endsWith(m.aliasSuffix)) {
+        continue;
+      }
+      const inner = spec.slice(
+        m.aliasPrefix.length,
+        spec.length - m.aliasSuffix.length,
+      );
+      targetAbs = path.resolve(m.baseDir, m.targetPattern.replace("*", inner));
+    } else {
+      if (spec !== m.aliasPattern) continue;
+      targetAbs = path.resolve(m.baseDir, m.targetPattern);
     }
+
+    const resolvedTargetAbs = resolveExistingModulePath(targetAbs);
+    if (!resolvedTargetAbs) continue;
+    if (!isWithinRoot(rootDir, resolvedTargetAbs)) continue;
+    return { targetAbs, matcher: m };
   }
 
-  if (candidates.length === 0) return null;
-  candidates.sort((a, b) => a.length - b.length || a.localeCompare(b));
-  return candidates[0];
+  return null;
+}
+
+function buildModuleIndex(files) {
+  const index = new Map();
+  const add = (key, entry) => {
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(entry);
+  };
+  for (const file of files) {
+    const modulePath = stripModuleExt(file);
+    add(path.basename(modulePath), { file, modulePath, isIndex: false });
+    if (path.basename(modulePath) === "index") {
+      const dir = path.dirname(modulePath);
+      add(path.basename(dir), { file, modulePath: dir, isIndex: true });
+    }
+  }
+  return index;
+}
+
+function findMovedModule(spec, moduleIndex) {
+  const segments = stripExt(spec)
+    .split("/")
+    .filter((s) => s && s !== "." && s !== "..");
+  if (segments.length === 0) return [];
+  const entries = moduleIndex.get(segments[segments.length - 1]) || [];
+  for (let n = segments.length; n > 0; n--) {
+    const suffix = `/${segments.slice(-n).join("/")}`;
+    const matches = entries.filter((e) =>
+      toPosix(e.modulePath).endsWith(suffix),
+    );
+    if (matches.length > 0) {
+      return matches.filter(
+        (e, i) => matches.findIndex((m) => m.file === e.file) === i,
+      );
+    }
+  }
+  return [];
 }
 
 function loadGitignore(dir) {
@@ -315,7 +1814,110 @@ function isIgnored(absPath, isDir, ignoreStack) {
   return ignored;
 }
 
-async function* walk(dir, ignoreStack) {
+function getScriptLang(attrs, defaultLang) {
+  const match = /\blang\s*=\s*["']?([\w-]+)/i.exec(attrs);
+  if (!match) return defaultLang;
+  const lang = match[1].toLowerCase();
+  if (lang === "typescript") return "ts";
+  return Object.hasOwn(SCRIPT_KINDS, lang) ? lang : null;
+}
+
+function extractHtmlScriptRegions(text, defaultLang) {
+  const regions = [];
+  // Comments are matched too, so <script> tags inside them are skipped.
+  for (const match of text.matchAll(
+    /<!--[\s\S]*?-->|<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi,
+  )) {
+    if (match[0].startsWith("<!--")) continue;
+    const attrs = match[1];
+    if (/\bsrc\s*=/i.test(attrs) || /\bis:inline\b/i.test(attrs)) continue;
+    if (/\btype\s*=\s*["']?[\w/+.-]*json/i.test(attrs)) continue;
+    const lang = getScriptLang(attrs, defaultLang);
+    if (!lang) continue;
+    const start = match.index + "<script".length + attrs.length + 1;
+    regions.push({ start, end: start + match[2].length, lang });
+  }
+  return regions;
+}
+
+function extractAstroScriptRegions(text) {
+  const regions = [];
+  let bodyStart = 0;
+  const open = /^\s*---[ \t]*\r?\n/.exec(text);
+  if (open) {
+    const start = open[0].length;
+    const close = /^---[ \t]*$/m.exec(text.slice(start));
+    if (close) {
+      regions.push({ start, end: start + close.index, lang: "ts" });
+      bodyStart = start + close.index + close[0].length;
+    }
+  }
+  for (const region of extractHtmlScriptRegions(text.slice(bodyStart), "ts")) {
+    regions.push({
+      start: region.start + bodyStart,
+      end: region.end + bodyStart,
+      lang: region.lang,
+    });
+  }
+  return regions;
+}
+
+function getWalkExtensions(extractors) {
+  return new Set([...SUPPORTED_EXTS, ...Object.keys(extractors)]);
+}
+
+function parseScriptRegions(filePath, sourceText, extractors) {
+  const extractor = extractors[path.extname(filePath)];
+  if (!extractor) {
+    return [
+      {
+        offset: 0,
+        sourceFile: ts.createSourceFile(
+          filePath,
+          sourceText,
+          ts.ScriptTarget.Latest,
+          true,
+        ),
+      },
+    ];
+  }
+
+  return extractor(sourceText).map((region) => ({
+    offset: region.start,
+    sourceFile: ts.createSourceFile(
+      `${filePath}.${region.lang}`,
+      sourceText.slice(region.start, region.end),
+      ts.ScriptTarget.Latest,
+      true,
+      SCRIPT_KINDS[region.lang] || ts.ScriptKind.TS,
+    ),
+  }));
+}
+
+async function* walkPath(rootDir, target, extensions) {
+  const segments = path.relative(rootDir, target).split(path.sep);
+  let ignoreStack = [];
+  let dir = rootDir;
+  for (const segment of segments.filter(Boolean)) {
+    if (DEFAULT_IGNORES.has(segment)) return;
+    const gitignore = loadGitignore(dir);
+    if (gitignore) ignoreStack = ignoreStack.concat([gitignore]);
+    dir = path.join(dir, segment);
+    if (isIgnored(dir, fs.statSync(dir).isDirectory(), ignoreStack)) return;
+  }
+
+  if (fs.statSync(target).isDirectory()) {
+    yield* walk(target, ignoreStack, extensions);
+  } else if (extensions.has(path.extname(target))) {
+    yield target;
+  }
+}
+
+async function* walk(
+  dir,
+  ignoreStack,
+  extensions = getWalkExtensions(SCRIPT_EXTRACTORS),
+) {
   const gitignore = loadGitignore(dir);
   const nextStack = gitignore ? ignoreStack.concat([gitignore]) : ignoreStack;
 
@@ -327,85 +1929,527 @@ async function* walk(dir, ignoreStack) {
     if (isIgnored(fullPath, isDir, nextStack)) continue;
 
     if (isDir) {
-      yield* walk(fullPath, nextStack);
+      yield* walk(fullPath, nextStack, extensions);
     } else if (entry.isFile()) {
       const ext = path.extname(entry.name);
-      if (SUPPORTED_EXTS.has(ext)) {
+      if (extensions.has(ext)) {
         yield fullPath;
       }
     }
   }
 }
 
+function runGit(rootDir, gitArgs) {
+  try {
+    return execFileSync("git", gitArgs, {
+      cwd: rootDir,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+  } catch (err) {
+    const detail = err.stderr ? String(err.stderr).trim() : err.message;
+    throw new Error(`git ${gitArgs.join(" ")} failed: ${detail}`);
+  }
+}
+
+function getGitFiles(rootDir, { changed, staged }) {
+  const topLevel = runGit(rootDir, ["rev-parse", "--show-toplevel"]).trim();
+  const lists = [];
+  if (changed) {
+    lists.push(
+      runGit(rootDir, [
+        "diff",
+        "--name-only",
+        "-z",
+        "--diff-filter=d",
+        changed,
+      ]),
+      runGit(rootDir, [
+        "ls-files",
+        "--others",
+        "--exclude-standard",
+        "--full-name",
+        "-z",
+      ]),
+    );
+  }
+  if (staged) {
+    lists.push(
+      runGit(rootDir, [
+        "diff",
+        "--name-only",
+        "-z",
+        "--diff-filter=d",
+        "--cached",
+      ]),
+    );
+  }
+  const files = new Set();
+  for (const list of lists) {
+    for (const name of list.split("\0")) {
+      const file = name && path.join(topLevel, name);
+      // Staged files can be gone from the working tree since.
+      if (file && fs.existsSync(file)) files.add(fs.realpathSync(file));
+    }
+  }
+  return files;
+}
+
+function matchesGlob(regexps, rel) {
+  const segments = rel.split("/");
+  for (let i = segments.length; i > 0; i--) {
+    const prefix = segments.slice(0, i).join("/");
+    if (regexps.some((re) => re.test(prefix))) return true;
+  }
+  return false;
+}
+
+function createFileFilter(rootDir, selection) {
+  const { paths, include, exclude, gitFiles } = selection;
+  const includeRes = include.map(globToRegExp);
+  const excludeRes = exclude.map(globToRegExp);
+  return (file) => {
+    const rel = toPosix(path.relative(rootDir, file));
+    if (
+      paths.length > 0 &&
+      !paths.some((p) => file === p || file.startsWith(`${p}${path.sep}`))
+    ) {
+      return false;
+    }
+    if (includeRes.length > 0 && !matchesGlob(includeRes, rel)) return false;
+    if (excludeRes.length > 0 && matchesGlob(excludeRes, rel)) return false;
+    return !gitFiles || gitFiles.has(fs.realpathSync(file));
+  };
+}
+
+function applyEdits(sourceText, edits) {
+  const sortedEdits = Array.from(edits).sort((a, b) => b.start - a.start);
+  let output = sourceText;
+  for (const e of sortedEdits) {
+    output = output.slice(0, e.start) + e.text + output.slice(e.end);
+  }
+  return output;
+}
+
+function toEditRecords(edits, lineSource) {
+  return Array.from(edits.values())
+    .sort((a, b) => a.start - b.start)
+    .map((e) => {
+      const { line, character } = ts.getLineAndCharacterOfPosition(
+        lineSource,
+        e.start - 1,
+      );
+      const record = {
+        start: e.start,
+        end: e.end,
+        line: line + 1,
+        column: character + 1,
+        from: e.from,
+        to: e.text,
+      };
+      if (e.pattern !== undefined) {
+        record.pattern = e.pattern;
+        record.targetPattern = e.targetPattern;
+        record.source = e.source;
+        record.target = e.target;
+      }
+      return record;
+    });
+}
+
 function updateImportsInFile(
   filePath,
   tsconfigCache,
   nodeModuleConflictCache,
   rootDir,
+  options = {},
 ) {
-  const sourceText = fs.readFileSync(filePath, "utf8");
-  const sourceFile = ts.createSourceFile(
-    filePath,
-    sourceText,
-    ts.ScriptTarget.Latest,
-    true,
-  );
+  const {
+    expand = false,
+    expandAlias = null,
+    policy = { policy: "shortest", minParentDepth: 1 },
+    extractors = SCRIPT_EXTRACTORS,
+    project = null,
+    membership = "strict",
+    moduleIndex = null,
+    aliasSources = ALIAS_SOURCES,
+    aliasConfigCache = new Map(),
+    workspaceCache = new Map(),
+    index = "keep",
+    extensions = "keep",
+    normalize = false,
+    references = false,
+  } = options;
+  const sourceText =
+    options.sourceText === undefined
+      ? fs.readFileSync(filePath, "utf8")
+      : options.sourceText;
+  const lineSource = { text: sourceText };
 
   let changed = false;
   const edits = new Map();
   const updatedPathPairs = [];
-
+  const warnings = [];
+  const rejected = [];
+  const broken = [];
   const fileDir = path.dirname(filePath);
-  const tsconfigPath = findNearestTsconfig(fileDir, rootDir);
-  if (!tsconfigPath) {
-    return { changed: false, text: sourceText, updatedPathPairs };
+  const extraExtensions = getMembershipExtensions(extractors);
+  const resolution = resolveTsconfigForFile(filePath, rootDir, tsconfigCache, {
+    project,
+    membership,
+    extraExtensions,
+  });
+  const tsconfigPath = resolution ? resolution.tsconfigPath : null;
+  const unchanged = {
+    changed: false,
+    text: sourceText,
+    sourceText,
+    tsconfigPath,
+    unowned: Boolean(resolution && !resolution.owned),
+    updatedPathPairs,
+    edits: [],
+    warnings,
+    rejected,
+    broken,
+    expandAliasKnown: false,
+  };
+  if (resolution && !resolution.owned) {
+    return unchanged;
   }
 
-  let aliasInfo = tsconfigCache.get(tsconfigPath);
-  if (!aliasInfo) {
-    try {
-      aliasInfo = buildAliasMatchers(tsconfigPath, rootDir);
-    } catch (err) {
-      throw new Error(`Failed to parse ${tsconfigPath}: ${err.message}`);
+  const tsProject = resolution
+    ? getProject(tsconfigPath, rootDir, tsconfigCache, extraExtensions)
+    : getImplicitProject(rootDir, tsconfigCache);
+  const { aliasInfo } = tsProject;
+  const rootAbs = path.resolve(rootDir);
+  const matchers = [];
+  if (aliasInfo && aliasSources.has("paths")) {
+    matchers.push(...aliasInfo.matchers);
+  }
+  if (
+    aliasSources.has("imports") &&
+    supportsPackageImports(tsProject.options)
+  ) {
+    matchers.push(
+      ...getPackageImportMatchers(fileDir, rootAbs, aliasConfigCache),
+    );
+  }
+  matchers.push(
+    ...findAliasProviderMatchers(
+      fileDir,
+      rootAbs,
+      aliasSources,
+      aliasConfigCache,
+    ),
+  );
+  const expandAliasKnown =
+    Boolean(expandAlias) && matchers.some((m) => isAliasNamed(m, expandAlias));
+  unchanged.expandAliasKnown = expandAliasKnown;
+  const workspace = findWorkspace(fileDir, rootAbs, workspaceCache);
+  const importingPackage = workspace
+    ? findWorkspacePackage(workspace, filePath)
+    : null;
+  if (matchers.length === 0 && !importingPackage) {
+    return unchanged;
+  }
+
+  const baseUrl = aliasInfo ? aliasInfo.baseUrl : rootAbs;
+  const warnedNodeModuleConflicts = new Set();
+  const containingFile = {
+    fileName: filePath,
+    impliedNodeFormat: ts.getImpliedNodeFormatForFile(
+      filePath,
+      getResolutionCache(tsProject).getPackageJsonInfoCache(),
+      ts.sys,
+      tsProject.options,
+    ),
+  };
+  const shape = requiresFullSpecifiers(
+    tsProject.options,
+    containingFile.impliedNodeFormat,
+  )
+    ? {
+        index: "keep",
+        extensions: extensions === "remove" ? "keep" : extensions,
+      }
+    : { index, extensions };
+  let sourceFile;
+  let offset = 0;
+
+  function getPosition(moduleExpr) {
+    const { line, character } = ts.getLineAndCharacterOfPosition(
+      lineSource,
+      offset + moduleExpr.getStart(sourceFile),
+    );
+    return { line: line + 1, column: character + 1 };
+  }
+
+  function resolveSpecifier(spec, moduleExpr) {
+    const viaTs = resolveWithTypeScript(
+      spec,
+      containingFile,
+      tsProject,
+      moduleExpr,
+    );
+    if (viaTs) return { file: viaTs, viaTs: true };
+    if (isRelative(spec)) {
+      return {
+        file: resolveExistingModulePath(path.resolve(fileDir, spec)),
+        viaTs: false,
+      };
     }
-    tsconfigCache.set(tsconfigPath, aliasInfo);
+    const match = matchTargetForAlias(spec, matchers, rootAbs, null);
+    return {
+      file: match ? resolveExistingModulePath(match.targetAbs) : null,
+      viaTs: false,
+    };
   }
 
-  if (!aliasInfo) {
-    return { changed: false, text: sourceText, updatedPathPairs };
+  // In a tsconfig project, a specifier TypeScript resolves must keep
+  // resolving through TypeScript, or tsc fails with TS2307 even though the
+  // file exists on disk.
+  function resolvesLike(actual, expected) {
+    if (!actual.file || actual.file !== expected.file) return false;
+    return actual.viaTs || !expected.viaTs || !tsProject.tsconfigPath;
   }
 
-  const { matchers, baseUrl } = aliasInfo;
-  const rootAbs = path.resolve(rootDir);
-  const warnedNodeModuleConflicts = new Set();
+  function verifyRewrite(moduleExpr, spec, nextSpec, expected) {
+    const actual = resolveSpecifier(nextSpec, moduleExpr);
+    if (resolvesLike(actual, expected)) return true;
+    const unresolved = !actual.file || (expected.viaTs && !actual.viaTs);
+    rejected.push({
+      file: filePath,
+      ...getPosition(moduleExpr),
+      from: spec,
+      candidate: nextSpec,
+      reason: unresolved ? "unresolved" : "resolves-to-other-file",
+      expected: expected.file,
+      resolvedTo: unresolved ? null : actual.file,
+      message: unresolved
+        ? `Keeping "${spec}" in ${filePath} because "${nextSpec}" does not resolve.`
+        : `Keeping "${spec}" in ${filePath} because "${nextSpec}" resolves to ${actual.file} instead of ${expected.file}.`,
+    });
+    return false;
+  }
+
+  function toAliasCandidate(candidate) {
+    if (!tsProject.options.rewriteRelativeImportExtensions) return candidate;
+    return {
+      ...candidate,
+      alias: toOutputExt(candidate.alias, tsProject.options),
+    };
+  }
+
+  function queueEdit(moduleExpr, spec, nextSpec, matcher, target = {}) {
+    const { file: targetFile = null, targetAbs = null } = target;
+    const start = getEditStart(moduleExpr);
+    edits.set(start, {
+      start,
+      end: offset + moduleExpr.getEnd() - 1,
+      from: spec,
+      text: nextSpec,
+      pattern: matcher ? matcher.aliasPattern : null,
+      targetPattern: matcher ? matcher.targetPattern : null,
+      source: matcher ? matcher.source : null,
+      target: targetFile,
+    });
+    updatedPathPairs.push(
+      targetAbs ? [spec, nextSpec, targetAbs] : [spec, nextSpec],
+    );
+    changed = true;
+  }
+
+  function queueAliasRewrite(moduleExpr, spec, expected) {
+    if (importingPackage) {
+      const targetPackage = findWorkspacePackage(workspace, expected.file);
+      if (targetPackage && targetPackage !== importingPackage) {
+        queueWorkspaceRewrite(moduleExpr, spec, expected, targetPackage);
+        return;
+      }
+    }
+    const keepExt = hasImportExt(spec);
+    const targetAbs = path.resolve(fileDir, spec);
+    const best = collectAliasCandidates(targetAbs, matchers, keepExt)
+      .map(toAliasCandidate)
+      .map((c) => reshapeCandidate(moduleExpr, c, expected))
+      .filter((c) => shouldUseAlias(spec, c.alias, policy))
+      .find((c) => verifyRewrite(moduleExpr, spec, c.alias, expected));
+    if (best) {
+      queueEdit(moduleExpr, spec, best.alias, best.matcher, expected);
+    }
+  }
+
+  function queueWorkspaceRewrite(moduleExpr, spec, expected, targetPackage) {
+    const specifiers = collectWorkspaceSpecifiers(targetPackage, expected.file);
+    if (specifiers.length === 0) {
+      warnings.push({
+        reason: "not-exported",
+        file: filePath,
+        ...getPosition(moduleExpr),
+        spec,
+        packageName: targetPackage.name,
+        message: `Keeping "${spec}" in ${filePath} because ${expected.file} is not exported by workspace package "${targetPackage.name}".`,
+      });
+      return;
+    }
+    const nextSpec = specifiers.find((s) =>
+      verifyRewrite(moduleExpr, spec, s, expected),
+    );
+    if (nextSpec) queueEdit(moduleExpr, spec, nextSpec, null, expected);
+  }
+
+  function reportBrokenImport(moduleExpr, spec) {
+    const record = {
+      file: filePath,
+      ...getPosition(moduleExpr),
+      spec,
+      candidates: [],
+      to: null,
+    };
+    if (moduleIndex) {
+      const entries = findMovedModule(spec, moduleIndex);
+      record.candidates = entries.map((e) => e.file);
+      if (entries.length === 1) {
+        record.to = queueBrokenImportFix(moduleExpr, spec, entries[0]);
+      }
+    }
+    if (record.to) {
+      record.message = `Fixed unresolved import "${spec}" in ${filePath} -> "${record.to}".`;
+    } else if (record.candidates.length > 1) {
+      record.message = `Unresolved import "${spec}" in ${filePath} matches ${record.candidates.length} files: ${record.candidates.join(", ")}`;
+    } else {
+      record.message = `Unresolved import "${spec}" in ${filePath}.`;
+    }
+    broken.push(record);
+  }
+
+  function queueBrokenImportFix(moduleExpr, spec, entry) {
+    const keepExt = hasImportExt(spec);
+    let targetAbs = entry.modulePath;
+    if (keepExt) {
+      targetAbs = entry.isIndex
+        ? path.join(entry.modulePath, `index${path.extname(spec)}`)
+        : `${entry.modulePath}${path.extname(spec)}`;
+    }
+    const expected = { file: entry.file, viaTs: false };
+    const relativeSpec = reshapeSpecifier(
+      moduleExpr,
+      toRelativeSpecifier(fileDir, targetAbs),
+      expected,
+    );
+    const best = collectAliasCandidates(targetAbs, matchers, keepExt)
+      .map(toAliasCandidate)
+      .map((c) => reshapeCandidate(moduleExpr, c, expected))
+      .filter((c) => shouldUseAlias(relativeSpec, c.alias, policy))
+      .find((c) => verifyRewrite(moduleExpr, spec, c.alias, expected));
+    if (best) {
+      queueEdit(moduleExpr, spec, best.alias, best.matcher, expected);
+      return best.alias;
+    }
+    if (verifyRewrite(moduleExpr, spec, relativeSpec, expected)) {
+      queueEdit(moduleExpr, spec, relativeSpec, null, expected);
+      return relativeSpec;
+    }
+    return null;
+  }
+
+  function reshapeSpecifier(moduleExpr, candidate, expected) {
+    const variants = getSpecifierVariants(
+      candidate,
+      expected.file,
+      shape,
+      tsProject.options,
+    );
+    return variants.find(
+      (variant, i) =>
+        i === variants.length - 1 ||
+        resolvesLike(resolveSpecifier(variant, moduleExpr), expected),
+    );
+  }
+
+  function reshapeCandidate(moduleExpr, candidate, expected) {
+    return {
+      ...candidate,
+      alias: reshapeSpecifier(moduleExpr, candidate.alias, expected),
+    };
+  }
+
+  function queueNormalizedSpecifier(moduleExpr, spec) {
+    const match = isRelative(spec)
+      ? null
+      : matchTargetForAlias(spec, matchers, rootAbs, null);
+    if (!isRelative(spec) && !match) return;
+    const expected = resolveSpecifier(spec, moduleExpr);
+    if (!expected.file) return;
+    const nextSpec = reshapeSpecifier(moduleExpr, spec, expected);
+    if (nextSpec === spec) return;
+    if (verifyRewrite(moduleExpr, spec, nextSpec, expected)) {
+      queueEdit(
+        moduleExpr,
+        spec,
+        nextSpec,
+        match ? match.matcher : null,
+        expected,
+      );
+    }
+  }
+
+  function getEditStart(moduleExpr) {
+    return offset + moduleExpr.getStart(sourceFile) + 1;
+  }
 
   function queueModuleSpecifierRewrite(moduleExpr) {
     if (!moduleExpr || !ts.isStringLiteral(moduleExpr)) return;
 
-    const spec = moduleExpr.text;
+    queueSpecifierRewrite(moduleExpr, moduleExpr.text);
+    if (normalize && !edits.has(getEditStart(moduleExpr))) {
+      queueNormalizedSpecifier(moduleExpr, moduleExpr.text);
+    }
+  }
+
+  function queueSpecifierRewrite(moduleExpr, spec) {
     if (isRelative(spec)) {
-      const keepExt = hasImportExt(spec);
-      const targetAbs = path.resolve(fileDir, spec);
-      const bestAlias = buildAliasForTarget(targetAbs, matchers, keepExt);
-      if (bestAlias && bestAlias.length < spec.length) {
-        edits.set(moduleExpr.getStart(sourceFile) + 1, {
-          start: moduleExpr.getStart(sourceFile) + 1,
-          end: moduleExpr.getEnd() - 1,
-          text: bestAlias,
+      const expected = resolveSpecifier(spec, moduleExpr);
+      if (!expected.file) {
+        reportBrokenImport(moduleExpr, spec);
+        return;
+      }
+      if (!expand) queueAliasRewrite(moduleExpr, spec, expected);
+    } else if (expand) {
+      const match = matchTargetForAlias(spec, matchers, rootAbs, expandAlias);
+      if (!match) return;
+      const targetAbs = hasImportExt(spec)
+        ? match.targetAbs
+        : stripExt(match.targetAbs);
+      const expected = resolveSpecifier(spec, moduleExpr);
+      const relativeSpec = expected.file
+        ? reshapeSpecifier(
+            moduleExpr,
+            toRelativeSpecifier(fileDir, targetAbs),
+            expected,
+          )
+        : toRelativeSpecifier(fileDir, targetAbs);
+      if (relativeSpec === spec) return;
+      if (verifyRewrite(moduleExpr, spec, relativeSpec, expected)) {
+        queueEdit(moduleExpr, spec, relativeSpec, match.matcher, {
+          targetAbs,
         });
-        updatedPathPairs.push([spec, bestAlias]);
-        changed = true;
       }
     } else {
       const keepExt = hasImportExt(spec);
-      const bestAlias = resolveBareAlias(
+      const candidates = collectBareAliasCandidates(
         spec,
         matchers,
         baseUrl,
         rootAbs,
         keepExt,
-      );
-      if (bestAlias && bestAlias !== spec) {
+      )
+        .map(toAliasCandidate)
+        .map((c) =>
+          reshapeCandidate(moduleExpr, c, { file: c.targetAbs, viaTs: false }),
+        )
+        .filter((c) => c.alias !== spec);
+      if (candidates.length > 0) {
         const packageName = getPackageNameFromSpecifier(spec);
         if (
           packageName &&
@@ -416,88 +2460,198 @@ function updateImportsInFile(
             nodeModuleConflictCache,
           )
         ) {
-          const warningKey = `${filePath}::${spec}`;
-          if (!warnedNodeModuleConflicts.has(warningKey)) {
-            console.warn(
-              `[warn] Skipping bare import "${spec}" in ${filePath} because node_modules package "${packageName}" exists.`,
-            );
-            warnedNodeModuleConflicts.add(warningKey);
+          if (!warnedNodeModuleConflicts.has(spec)) {
+            warnings.push({
+              reason: "node-modules-conflict",
+              file: filePath,
+              ...getPosition(moduleExpr),
+              spec,
+              packageName,
+              message: `Skipping bare import "${spec}" in ${filePath} because node_modules package "${packageName}" exists.`,
+            });
+            warnedNodeModuleConflicts.add(spec);
           }
           return;
         }
 
-        edits.set(moduleExpr.getStart(sourceFile) + 1, {
-          start: moduleExpr.getStart(sourceFile) + 1,
-          end: moduleExpr.getEnd() - 1,
-          text: bestAlias,
-        });
-        updatedPathPairs.push([spec, bestAlias]);
-        changed = true;
+        const best = candidates.find((c) =>
+          verifyRewrite(moduleExpr, spec, c.alias, {
+            file: c.targetAbs,
+            viaTs: false,
+          }),
+        );
+        if (best) {
+          queueEdit(moduleExpr, spec, best.alias, best.matcher, {
+            file: best.targetAbs,
+          });
+        }
       }
     }
   }
 
   function visit(node) {
-    if (ts.isImportDeclaration(node) || ts.isExportDeclaration(node)) {
-      queueModuleSpecifierRewrite(node.moduleSpecifier);
-    } else if (
-      ts.isCallExpression(node) &&
-      node.expression.kind === ts.SyntaxKind.ImportKeyword
-    ) {
-      const arg = node.arguments[0];
-      queueModuleSpecifierRewrite(arg);
+    queueModuleSpecifierRewrite(
+      references
+        ? getModuleReferenceExpression(node)
+        : getModuleSpecifierExpression(node),
+    );
+    if (node.jsDoc) {
+      for (const doc of node.jsDoc) visit(doc);
     }
     ts.forEachChild(node, visit);
   }
 
-  visit(sourceFile);
+  for (const region of parseScriptRegions(filePath, sourceText, extractors)) {
+    sourceFile = region.sourceFile;
+    offset = region.offset;
+    visit(sourceFile);
+  }
+
+  if (!changed) return unchanged;
 
-  if (!changed) return { changed: false, text: sourceText, updatedPathPairs };
+  return {
+    changed: true,
+    text: applyEdits(sourceText, edits.values()),
+    sourceText,
+    tsconfigPath,
+    unowned: false,
+    updatedPathPairs,
+    edits: toEditRecords(edits, lineSource),
+    warnings,
+    rejected,
+    broken,
+    expandAliasKnown,
+  };
+}
 
-  const sortedEdits = Array.from(edits.values()).sort(
-    (a, b) => b.start - a.start,
+function isRequireCall(node) {
+  const callee = node.expression;
+  if (ts.isIdentifier(callee)) return callee.text === "require";
+  if (!ts.isPropertyAccessExpression(callee)) return false;
+  if (!ts.isIdentifier(callee.expression)) return false;
+  const object = callee.expression.text;
+  const method = callee.name.text;
+  return (
+    (object === "require" && method === "resolve") ||
+    (object === "module" && method === "require")
   );
-  let output = sourceText;
-  for (const e of sortedEdits) {
-    output = output.slice(0, e.start) + e.text + output.slice(e.end);
+}
+
+function isModuleSpecifierCall(node) {
+  if (!ts.isCallExpression(node)) return false;
+  if (node.expression.kind === ts.SyntaxKind.ImportKeyword) return true;
+  return isRequireCall(node);
+}
+
+function getModuleSpecifierExpression(node) {
+  if (ts.isImportDeclaration(node) || ts.isExportDeclaration(node)) {
+    return node.moduleSpecifier;
+  }
+  if (isModuleSpecifierCall(node)) {
+    return node.arguments[0];
+  }
+  if (
+    ts.isImportEqualsDeclaration(node) &&
+    ts.isExternalModuleReference(node.moduleReference)
+  ) {
+    return node.moduleReference.expression;
   }
+  if (ts.isImportTypeNode(node) && ts.isLiteralTypeNode(node.argument)) {
+    return node.argument.literal;
+  }
+  if (ts.isModuleDeclaration(node) && ts.isStringLiteral(node.name)) {
+    return node.name;
+  }
+  return undefined;
+}
+
+function getModuleReferenceExpression(node) {
+  if (!ts.isCallExpression(node) || node.arguments.length === 0) return;
+  const callee = node.expression;
+  if (!ts.isPropertyAccessExpression(callee)) return;
+  if (!ts.isIdentifier(callee.expression)) return;
+  const methods = MODULE_REFERENCE_CALLS[callee.expression.text];
+  if (!methods || !methods.has(callee.name.text)) return;
+  return node.arguments[0];
+}
 
-  return { changed: true, text: output, updatedPathPairs };
+function mayContainModuleReferences(text) {
+  return Object.keys(MODULE_REFERENCE_CALLS).some((object) =>
+    text.includes(`${object}.`),
+  );
 }
 
-function isImportExportModuleSpecifier(node) {
+function isModuleSpecifier(node) {
   const parent = node.parent;
   if (!parent) return false;
-  if (ts.isImportDeclaration(parent) || ts.isExportDeclaration(parent)) {
-    return parent.moduleSpecifier === node;
-  }
-  return false;
+  if (getModuleSpecifierExpression(parent) === node) return true;
+  return (
+    ts.isLiteralTypeNode(parent) &&
+    Boolean(parent.parent) &&
+    getModuleSpecifierExpression(parent.parent) === node
+  );
 }
 
-function updatePathReferencesInFile(filePath, replacementMap) {
-  if (replacementMap.size === 0) {
-    return { changed: false, text: fs.readFileSync(filePath, "utf8") };
+function updatePathReferencesInFile(
+  filePath,
+  replacementMap,
+  sourceText,
+  options = {},
+) {
+  const { extractors = SCRIPT_EXTRACTORS, context = null } = options;
+  if (sourceText === undefined) {
+    sourceText = fs.readFileSync(filePath, "utf8");
   }
-
-  const sourceText = fs.readFileSync(filePath, "utf8");
-  const sourceFile = ts.createSourceFile(
-    filePath,
+  const unchanged = {
+    changed: false,
+    text: sourceText,
     sourceText,
-    ts.ScriptTarget.Latest,
-    true,
-  );
+    tsconfigPath: null,
+    edits: [],
+  };
+  if (replacementMap.size === 0 && !context) {
+    return unchanged;
+  }
 
   let changed = false;
   const edits = new Map();
+  let sourceFile;
+  let offset = 0;
+  let tsconfigPath = null;
+
+  if (context && mayContainModuleReferences(sourceText)) {
+    const result = updateImportsInFile(
+      filePath,
+      context.tsconfigCache,
+      context.nodeModuleConflictCache,
+      context.rootDir,
+      { ...context.options, extractors, sourceText, references: true },
+    );
+    tsconfigPath = result.tsconfigPath;
+    for (const e of result.edits) {
+      edits.set(e.start, { ...e, text: e.to });
+      changed = true;
+    }
+  }
+
+  function isContextualReference(node) {
+    return Boolean(
+      context &&
+      node.parent &&
+      getModuleReferenceExpression(node.parent) === node,
+    );
+  }
 
   function visit(node) {
     if (ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node)) {
-      if (!isImportExportModuleSpecifier(node)) {
+      if (!isModuleSpecifier(node) && !isContextualReference(node)) {
         const nextValue = replacementMap.get(node.text);
         if (nextValue && nextValue !== node.text) {
-          edits.set(node.getStart(sourceFile) + 1, {
-            start: node.getStart(sourceFile) + 1,
-            end: node.getEnd() - 1,
+          const start = offset + node.getStart(sourceFile) + 1;
+          edits.set(start, {
+            start,
+            end: offset + node.getEnd() - 1,
+            from: node.text,
             text: nextValue,
           });
           changed = true;
@@ -507,19 +2661,21 @@ function updatePathReferencesInFile(filePath, replacementMap) {
     ts.forEachChild(node, visit);
   }
 
-  visit(sourceFile);
-
-  if (!changed) return { changed: false, text: sourceText };
-
-  const sortedEdits = Array.from(edits.values()).sort(
-    (a, b) => b.start - a.start,
-  );
-  let output = sourceText;
-  for (const e of sortedEdits) {
-    output = output.slice(0, e.start) + e.text + output.slice(e.end);
+  for (const region of parseScriptRegions(filePath, sourceText, extractors)) {
+    sourceFile = region.sourceFile;
+    offset = region.offset;
+    visit(sourceFile);
   }
 
-  return { changed: true, text: output };
+  if (!changed) return unchanged;
+
+  return {
+    changed: true,
+    text: applyEdits(sourceText, edits.values()),
+    sourceText,
+    tsconfigPath,
+    edits: toEditRecords(edits, { text: sourceText }),
+  };
 }
 
 function buildStableReplacementMap(updatedPathMap) {
@@ -537,90 +2693,918 @@ function buildStableReplacementMap(updatedPathMap) {
   return { stableMap, conflicts };
 }
 
-async function main() {
-  const args = parseArgs(process.argv);
-  const rootDir = path.resolve(args.root);
+// Relative specifiers are keyed by the absolute path they resolve to, so a
+// reference only matches when it points at the same module from its own file.
+function toReferenceKey(fromDir, spec) {
+  return isRelative(spec) ? path.resolve(fromDir, spec) : spec;
+}
+
+function relativizeReplacementMap(targetMap, fromDir) {
+  const relativeMap = new Map();
+  for (const [fromPath, toPath] of targetMap) {
+    relativeMap.set(
+      path.isAbsolute(fromPath)
+        ? toRelativeSpecifier(fromDir, fromPath)
+        : fromPath,
+      path.isAbsolute(toPath) ? toRelativeSpecifier(fromDir, toPath) : toPath,
+    );
+  }
+  return relativeMap;
+}
+
+async function shortenImports(options = {}) {
+  const {
+    root,
+    write = false,
+    updateRefs = false,
+    expand = false,
+    expandAlias = null,
+    policy = null,
+    minParentDepth = null,
+    declarationFiles = "rewrite",
+    extractors = {},
+    project = null,
+    membership = "strict",
+    fixBroken = false,
+    aliasSource = "all",
+    testAliases = "warn",
+    index = "keep",
+    extensions = "keep",
+    normalize = false,
+    paths = [],
+    include = [],
+    exclude = [],
+    changed = null,
+    staged = false,
+    filePath = null,
+    sourceText,
+    caches = {},
+    verbose = false,
+    logger = null,
+  } = options;
+  const scriptExtractors = { ...SCRIPT_EXTRACTORS, ...extractors };
+
+  validatePolicy({ policy, minParentDepth }, "options");
+  if (!DECLARATION_FILE_POLICIES.has(declarationFiles)) {
+    throw new Error(`Unknown declarationFiles option: ${declarationFiles}`);
+  }
+  if (!MEMBERSHIP_MODES.has(membership)) {
+    throw new Error(`Unknown membership option: ${membership}`);
+  }
+  if (!TEST_ALIAS_MODES.has(testAliases)) {
+    throw new Error(`Unknown testAliases option: ${testAliases}`);
+  }
+  if (!INDEX_MODES.has(index)) {
+    throw new Error(`Unknown index option: ${index}`);
+  }
+  if (!EXTENSION_MODES.has(extensions)) {
+    throw new Error(`Unknown extensions option: ${extensions}`);
+  }
+  let aliasSources;
+  try {
+    aliasSources = parseAliasSources(aliasSource);
+  } catch (err) {
+    throw new Error(`Unknown aliasSource option: ${err.message}`);
+  }
 
-  console.log(`Scanning directory: ${rootDir}`);
+  if (!root) {
+    throw new Error("shortenImports: `root` is required.");
+  }
 
+  const rootDir = path.resolve(root);
   if (!fs.existsSync(rootDir) || !fs.statSync(rootDir).isDirectory()) {
-    console.error(`Not a directory: ${rootDir}`);
-    process.exit(1);
+    throw new Error(`Not a directory: ${rootDir}`);
   }
 
-  const postProcessUpdatedPathReferences =
-    args.postProcessUpdatedPathReferences;
+  let projectPath = project ? path.resolve(rootDir, project) : null;
+  if (projectPath && !fs.existsSync(projectPath)) {
+    throw new Error(`Project not found: ${projectPath}`);
+  }
+  if (projectPath && fs.statSync(projectPath).isDirectory()) {
+    projectPath = path.join(projectPath, "tsconfig.json");
+  }
+
+  const textFile =
+    sourceText === undefined ? null : path.resolve(rootDir, filePath || "");
+  if (textFile && !filePath) {
+    throw new Error("sourceText requires a filePath");
+  }
+  if (textFile && write) {
+    throw new Error("sourceText cannot be combined with write");
+  }
 
-  const tsconfigCache = new Map();
-  const nodeModuleConflictCache = new Map();
+  const selectedPaths = paths.map((p) => path.resolve(rootDir, p));
+  for (const p of selectedPaths) {
+    if (!fs.existsSync(p)) {
+      throw new Error(`Path not found: ${p}`);
+    }
+    const rel = path.relative(rootDir, p);
+    if (
+      rel === ".." ||
+      rel.startsWith(`..${path.sep}`) ||
+      path.isAbsolute(rel)
+    ) {
+      throw new Error(`Path is outside the root: ${p}`);
+    }
+  }
+  const isSelected = createFileFilter(rootDir, {
+    paths: selectedPaths,
+    include,
+    exclude,
+    gitFiles:
+      changed || staged ? getGitFiles(rootDir, { changed, staged }) : null,
+  });
+
+  const log = (message) => logger && logger.log(message);
+  const warn = (message) => logger && logger.warn(message);
+
+  const {
+    tsconfigCache = new Map(),
+    nodeModuleConflictCache = new Map(),
+    aliasConfigCache = new Map(),
+    workspaceCache = new Map(),
+    policyCache = new Map(),
+  } = caches;
   let filesScanned = 0;
   let filesChanged = 0;
   let postProcessedFilesChanged = 0;
+  let expandAliasKnown = false;
   const progressEvery = 200;
   const allSourceFiles = [];
   const updatedPathMap = new Map();
-
-  for await (const file of walk(rootDir, [])) {
+  const editSources = new Map();
+  const fileResults = new Map();
+  const warnings = [];
+  const rejected = [];
+  const broken = [];
+  const ambiguous = [];
+  const unownedFiles = [];
+
+  const walkedFiles = new Set();
+  if (!textFile || fixBroken) {
+    const walkRoots =
+      selectedPaths.length > 0 && !fixBroken ? selectedPaths : [rootDir];
+    for (const walkRoot of walkRoots) {
+      for await (const file of walkPath(
+        rootDir,
+        walkRoot,
+        getWalkExtensions(scriptExtractors),
+      )) {
+        walkedFiles.add(file);
+      }
+    }
+  }
+  const moduleIndex = fixBroken ? buildModuleIndex(walkedFiles) : null;
+  const importOptions = {
+    expand,
+    expandAlias,
+    extractors: scriptExtractors,
+    project: projectPath,
+    membership,
+    moduleIndex,
+    aliasSources,
+    aliasConfigCache,
+    workspaceCache,
+    index,
+    extensions,
+    normalize,
+  };
+  const getImportOptions = (file) => ({
+    ...importOptions,
+    ...(file === textFile && {
+      sourceText,
+      membership: fs.existsSync(file) ? membership : "off",
+    }),
+    policy: resolvePolicyForFile(
+      file,
+      rootDir,
+      { policy, minParentDepth },
+      policyCache,
+    ),
+  });
+
+  for (const file of textFile ? [textFile] : walkedFiles) {
+    if (declarationFiles === "skip" && isDeclarationFile(file)) continue;
+    if (!isSelected(file)) continue;
     filesScanned++;
     allSourceFiles.push(file);
-    if (args.verbose) {
-      console.log(`[scan] ${file}`);
+    if (verbose) {
+      log(`[scan] ${file}`);
     } else if (filesScanned % progressEvery === 0) {
-      console.log(`[progress] scanned ${filesScanned} files...`);
+      log(`[progress] scanned ${filesScanned} files...`);
     }
-    const { changed, text, updatedPathPairs } = updateImportsInFile(
+    const result = updateImportsInFile(
       file,
       tsconfigCache,
       nodeModuleConflictCache,
       rootDir,
+      getImportOptions(file),
     );
-    for (const [fromPath, toPath] of updatedPathPairs) {
-      let set = updatedPathMap.get(fromPath);
+    for (const warning of result.warnings) {
+      warnings.push(warning);
+      warn(`[warn] ${warning.message}`);
+    }
+    for (const record of result.broken) {
+      broken.push(record);
+      if (record.to) log(`[fix] ${record.message}`);
+      else warn(`[warn] ${record.message}`);
+    }
+    for (const rejection of result.rejected) {
+      rejected.push(rejection);
+      warn(`[warn] ${rejection.message}`);
+    }
+    if (result.unowned) {
+      unownedFiles.push({ file, tsconfig: result.tsconfigPath });
+    }
+    if (result.expandAliasKnown) expandAliasKnown = true;
+    const fileDir = path.dirname(file);
+    for (const [fromPath, toPath, targetAbs] of result.updatedPathPairs) {
+      const key = toReferenceKey(fileDir, fromPath);
+      let set = updatedPathMap.get(key);
       if (!set) {
         set = new Set();
-        updatedPathMap.set(fromPath, set);
+        updatedPathMap.set(key, set);
       }
-      set.add(toPath);
+      set.add(expand ? targetAbs : toReferenceKey(fileDir, toPath));
     }
-    if (changed) {
+    if (result.changed) {
       filesChanged++;
-      if (args.write) {
-        fs.writeFileSync(file, text, "utf8");
-      } else if (args.verbose || args.dryRun || !args.write) {
-        console.log(`[change] ${file}`);
+      const edits = result.edits.map((e) => ({
+        phase: "imports",
+        ...e,
+        tsconfig: result.tsconfigPath,
+      }));
+      for (const e of edits) {
+        const key = toReferenceKey(fileDir, e.from);
+        if (!editSources.has(key)) editSources.set(key, e);
+      }
+      fileResults.set(file, {
+        file,
+        sourceText: result.sourceText,
+        text: result.text,
+        edits,
+      });
+      if (!write) log(`[change] ${file}`);
+    }
+  }
+
+  if (expand && expandAlias && filesScanned > 0 && !expandAliasKnown) {
+    throw new Error(`Unknown alias: ${expandAlias}`);
+  }
+
+  if (unownedFiles.length > 0) {
+    warn(
+      `[warn] Skipped ${unownedFiles.length} file(s) not included by any tsconfig.`,
+    );
+    if (verbose) {
+      for (const { file, tsconfig } of unownedFiles) {
+        warn(`  ${file} (nearest: ${tsconfig})`);
       }
     }
   }
 
-  if (postProcessUpdatedPathReferences && updatedPathMap.size > 0) {
+  if (updateRefs) {
     const { stableMap, conflicts } = buildStableReplacementMap(updatedPathMap);
-    if (conflicts.length > 0) {
-      console.warn(
-        `Skipped ${conflicts.length} ambiguous path reference mapping(s) during post processing.`,
+    const display = (p) =>
+      path.isAbsolute(p) ? toPosix(path.relative(rootDir, p)) : p;
+    for (const fromPath of conflicts) {
+      const candidates = Array.from(updatedPathMap.get(fromPath));
+      ambiguous.push({
+        from: display(fromPath),
+        candidates: candidates.map(display).sort(),
+      });
+    }
+    if (ambiguous.length > 0) {
+      warn(
+        `Skipped ${ambiguous.length} ambiguous path reference mapping(s) during post processing.`,
       );
-      if (args.verbose) {
-        for (const fromPath of conflicts) {
-          const candidates = Array.from(updatedPathMap.get(fromPath)).sort();
-          console.warn(`  ${fromPath} -> ${candidates.join(", ")}`);
+      if (verbose) {
+        for (const { from, candidates } of ambiguous) {
+          warn(`  ${from} -> ${candidates.join(", ")}`);
         }
       }
     }
 
     for (const file of allSourceFiles) {
-      const { changed, text } = updatePathReferencesInFile(file, stableMap);
-      if (!changed) continue;
+      const current = fileResults.get(file);
+      const fileOptions = getImportOptions(file);
+      const replacementMap = relativizeReplacementMap(
+        stableMap,
+        path.dirname(file),
+      );
+      const refs = updatePathReferencesInFile(
+        file,
+        replacementMap,
+        current ? current.text : fileOptions.sourceText,
+        {
+          extractors: scriptExtractors,
+          context: {
+            rootDir,
+            tsconfigCache,
+            nodeModuleConflictCache,
+            options: fileOptions,
+          },
+        },
+      );
+      if (!refs.changed) continue;
 
       postProcessedFilesChanged++;
-      if (args.write) {
-        fs.writeFileSync(file, text, "utf8");
-      } else if (args.verbose || args.dryRun || !args.write) {
-        console.log(`[post-change] ${file}`);
+      const refEdits = refs.edits.map((e) => {
+        if (e.pattern !== undefined) {
+          return { phase: "refs", ...e, tsconfig: refs.tsconfigPath };
+        }
+        const source = editSources.get(
+          toReferenceKey(path.dirname(file), e.from),
+        );
+        return {
+          phase: "refs",
+          ...e,
+          pattern: source.pattern,
+          targetPattern: source.targetPattern,
+          tsconfig: source.tsconfig,
+        };
+      });
+      if (current) {
+        current.text = refs.text;
+        current.edits.push(...refEdits);
+      } else {
+        fileResults.set(file, {
+          file,
+          sourceText: refs.sourceText,
+          text: refs.text,
+          edits: refEdits,
+        });
+      }
+      if (!write) log(`[post-change] ${file}`);
+    }
+  }
+
+  const files = Array.from(fileResults.values());
+  const { gaps: testAliasGaps, unverified: testAliasUnverified } =
+    testAliases === "off"
+      ? { gaps: [], unverified: [] }
+      : findTestAliasGaps(files, rootDir, new Map());
+  for (const { runner, config, reason } of testAliasUnverified) {
+    warn(
+      `[warn] ${runner} config ${config} cannot be verified (${reason}); skipping its alias check.`,
+    );
+  }
+  const reportedPatterns = new Set();
+  for (const gap of testAliasGaps) {
+    const key = `${gap.config}\0${gap.pattern}`;
+    if (reportedPatterns.has(key)) continue;
+    reportedPatterns.add(key);
+    warn(
+      `[warn] ${gap.runner} config ${gap.config} does not map "${gap.pattern}" like the rewrite does: "${gap.alias}" in ${gap.file} ${gap.resolvedTo ? `resolves to ${gap.resolvedTo}` : "does not resolve"} instead of ${gap.expected}.`,
+    );
+  }
+  const blocked = testAliases === "error" && testAliasGaps.length > 0;
+  if (write && blocked) {
+    warn(
+      `Not writing ${files.length} file(s) because test runner aliases do not cover the rewritten imports.`,
+    );
+  } else if (write) {
+    for (const { file, text } of files) {
+      fs.writeFileSync(file, text, "utf8");
+    }
+  }
+
+  return {
+    rootDir,
+    write,
+    filesScanned,
+    filesChanged,
+    postProcessedFilesChanged,
+    files,
+    warnings,
+    rejected,
+    broken,
+    ambiguous,
+    unownedFiles,
+    testAliasGaps,
+    testAliasUnverified,
+    blocked,
+  };
+}
+
+function isWatchedConfigFile(file) {
+  const name = path.basename(file);
+  return (
+    /^[tj]sconfig.*\.json$/.test(name) ||
+    WATCHED_CONFIG_FILES.has(name) ||
+    Object.values(ALIAS_PROVIDERS).some((p) => p.files.includes(name)) ||
+    Object.values(TEST_RUNNERS).some((r) => r.files.includes(name))
+  );
+}
+
+async function watchImports(options = {}) {
+  const {
+    root,
+    write = false,
+    debounce = 100,
+    verbose = false,
+    logger = null,
+  } = options;
+  const rootDir = path.resolve(root || ".");
+  const scope = (options.paths || []).map((p) => path.resolve(rootDir, p));
+  const log = (message) => logger && logger.log(message);
+  const warn = (message) => logger && logger.warn(message);
+  const caches = {
+    tsconfigCache: new Map(),
+    nodeModuleConflictCache: new Map(),
+    aliasConfigCache: new Map(),
+    workspaceCache: new Map(),
+    policyCache: new Map(),
+  };
+  const ownWrites = new Map();
+  const pending = new Set();
+  let structureChanged = false;
+  let timer = null;
+  let queue = Promise.resolve();
+
+  async function run(paths) {
+    const result = await shortenImports({
+      ...options,
+      paths,
+      caches,
+      logger: { log: verbose ? log : () => {}, warn },
+    });
+    for (const { file, text, edits } of result.files) {
+      if (write && !result.blocked) ownWrites.set(file, text);
+      const label = toPosix(path.relative(rootDir, file));
+      for (const e of edits) {
+        log(
+          `[rewrite] ${label}:${e.line}:${e.column} "${e.from}" -> "${e.to}"`,
+        );
+      }
+    }
+    return result;
+  }
+
+  function isOwnWrite(file) {
+    if (!ownWrites.has(file)) return false;
+    if (fs.readFileSync(file, "utf8") === ownWrites.get(file)) return true;
+    ownWrites.delete(file);
+    return false;
+  }
+
+  function flush() {
+    timer = null;
+    const files = Array.from(pending);
+    pending.clear();
+    if (files.some(isWatchedConfigFile)) {
+      for (const cache of Object.values(caches)) cache.clear();
+    } else if (structureChanged) {
+      caches.tsconfigCache.clear();
+    }
+    structureChanged = false;
+
+    const targets = files.filter(
+      (file) =>
+        (scope.length === 0 ||
+          scope.some(
+            (p) => file === p || file.startsWith(`${p}${path.sep}`),
+          )) &&
+        fs.existsSync(file) &&
+        fs.statSync(file).isFile() &&
+        !isWatchedConfigFile(file) &&
+        !isOwnWrite(file),
+    );
+    if (targets.length === 0) return;
+    queue = queue
+      .then(() => run(targets))
+      .catch((err) => warn(`[warn] ${err.message}`));
+  }
+
+  let watcher;
+  try {
+    watcher = fs.watch(rootDir, { recursive: true }, (event, name) => {
+      if (!name) return;
+      // Creating, deleting or moving a file changes tsconfig file lists and
+      // module resolution results, so those caches cannot be reused.
+      if (event === "rename") structureChanged = true;
+      pending.add(path.join(rootDir, name));
+      clearTimeout(timer);
+      timer = setTimeout(flush, debounce);
+    });
+  } catch (err) {
+    if (err.code !== "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") throw err;
+    throw new Error(
+      `Watch mode needs recursive fs.watch, which Node ${process.version} does not support on ${process.platform}. Use Node 20 or later.`,
+    );
+  }
+  // Running out of inotify watches or losing a watched directory emits
+  // "error", which would otherwise end the process.
+  watcher.on("error", (err) => {
+    warn(`[warn] Stopped watching ${rootDir}: ${err.message}`);
+    clearTimeout(timer);
+    watcher.close();
+  });
+  const initial = await run(scope);
+
+  return {
+    initial,
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+      return queue;
+    },
+  };
+}
+
+const DIFF_CONTEXT_LINES = 3;
+const ANSI = {
+  bold: "\u001b[1m",
+  red: "\u001b[31m",
+  green: "\u001b[32m",
+  cyan: "\u001b[36m",
+  reset: "\u001b[0m",
+};
+
+// Lines keep their terminator, so CRLF endings and a missing final newline
+// survive into the diff.
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+function collectDiffOps(beforeLines, afterLines) {
+  let head = 0;
+  while (
+    head < beforeLines.length &&
+    head < afterLines.length &&
+    beforeLines[head] === afterLines[head]
+  ) {
+    head++;
+  }
+
+  let tail = 0;
+  while (
+    tail < beforeLines.length - head &&
+    tail < afterLines.length - head &&
+    beforeLines[beforeLines.length - 1 - tail] ===
+      afterLines[afterLines.length - 1 - tail]
+  ) {
+    tail++;
+  }
+
+  const ops = [];
+  for (let i = 0; i < head; i++) {
+    ops.push({ type: " ", line: beforeLines[i] });
+  }
+
+  const removed = beforeLines.slice(head, beforeLines.length - tail);
+  const added = afterLines.slice(head, afterLines.length - tail);
+  if (removed.length === added.length) {
+    // Specifier edits never add or remove lines, so pair them up one to one.
+    for (let i = 0; i < removed.length; i++) {
+      if (removed[i] === added[i]) {
+        ops.push({ type: " ", line: removed[i] });
+      } else {
+        ops.push({ type: "-", line: removed[i] });
+        ops.push({ type: "+", line: added[i] });
       }
     }
+  } else {
+    for (const line of removed) ops.push({ type: "-", line });
+    for (const line of added) ops.push({ type: "+", line });
+  }
+
+  for (let i = beforeLines.length - tail; i < beforeLines.length; i++) {
+    ops.push({ type: " ", line: beforeLines[i] });
+  }
+
+  return ops;
+}
+
+function formatUnifiedDiff(
+  label,
+  beforeText,
+  afterText,
+  { color = false } = {},
+) {
+  const paint = (code, line) => (color ? `${code}${line}${ANSI.reset}` : line);
+  const ops = collectDiffOps(splitLines(beforeText), splitLines(afterText));
+
+  const hunks = [];
+  let current = null;
+  for (let i = 0; i < ops.length; i++) {
+    if (ops[i].type === " ") continue;
+    const from = Math.max(0, i - DIFF_CONTEXT_LINES);
+    const to = Math.min(ops.length, i + DIFF_CONTEXT_LINES + 1);
+    if (current && from <= current.to) {
+      current.to = Math.max(current.to, to);
+    } else {
+      current = { from, to };
+      hunks.push(current);
+    }
+  }
+
+  if (hunks.length === 0) return "";
+
+  const lines = [
+    paint(ANSI.bold, `--- a/${label}`),
+    paint(ANSI.bold, `+++ b/${label}`),
+  ];
+
+  let beforeLine = 1;
+  let afterLine = 1;
+  let cursor = 0;
+  for (const hunk of hunks) {
+    for (; cursor < hunk.from; cursor++) {
+      if (ops[cursor].type !== "+") beforeLine++;
+      if (ops[cursor].type !== "-") afterLine++;
+    }
+    const body = ops.slice(hunk.from, hunk.to);
+    const beforeCount = body.filter((op) => op.type !== "+").length;
+    const afterCount = body.filter((op) => op.type !== "-").length;
+    lines.push(
+      paint(
+        ANSI.cyan,
+        `@@ -${beforeLine},${beforeCount} +${afterLine},${afterCount} @@`,
+      ),
+    );
+    for (const op of body) {
+      const line = `${op.type}${op.line.replace(/\n$/, "")}`;
+      if (op.type === "-") lines.push(paint(ANSI.red, line));
+      else if (op.type === "+") lines.push(paint(ANSI.green, line));
+      else lines.push(line);
+      if (!op.line.endsWith("\n")) lines.push("\\ No newline at end of file");
+    }
+  }
+
+  return lines.join("\n");
+}
+
+function buildReportRecords({
+  rootDir,
+  files,
+  warnings,
+  rejected = [],
+  broken = [],
+  testAliasGaps = [],
+  ambiguous,
+  unownedFiles,
+}) {
+  const records = [];
+  for (const { file, edits } of files) {
+    for (const e of edits) {
+      records.push({
+        type: "edit",
+        phase: e.phase,
+        file: toPosix(path.relative(rootDir, file)),
+        line: e.line,
+        column: e.column,
+        start: e.start,
+        from: e.from,
+        to: e.to,
+        pattern: e.pattern,
+        targetPattern: e.targetPattern,
+        tsconfig: e.tsconfig
+          ? toPosix(path.relative(rootDir, e.tsconfig))
+          : null,
+      });
+    }
+  }
+  for (const w of warnings) {
+    records.push({
+      type: "skipped",
+      reason: w.reason,
+      file: toPosix(path.relative(rootDir, w.file)),
+      line: w.line,
+      column: w.column,
+      from: w.spec,
+      packageName: w.packageName,
+    });
+  }
+  for (const b of broken) {
+    if (b.to) continue;
+    records.push({
+      type: "skipped",
+      reason: "unresolved-import",
+      file: toPosix(path.relative(rootDir, b.file)),
+      line: b.line,
+      column: b.column,
+      from: b.spec,
+      candidates: b.candidates.map((c) => toPosix(path.relative(rootDir, c))),
+    });
+  }
+  for (const r of rejected) {
+    records.push({
+      type: "skipped",
+      reason: "unverified-alias",
+      file: toPosix(path.relative(rootDir, r.file)),
+      line: r.line,
+      column: r.column,
+      from: r.from,
+      candidate: r.candidate,
+      resolution: r.reason,
+      resolvedTo: r.resolvedTo
+        ? toPosix(path.relative(rootDir, r.resolvedTo))
+        : null,
+    });
+  }
+  for (const g of testAliasGaps) {
+    records.push({
+      type: "skipped",
+      reason: "test-alias-gap",
+      runner: g.runner,
+      config: toPosix(path.relative(rootDir, g.config)),
+      file: toPosix(path.relative(rootDir, g.file)),
+      line: g.line,
+      column: g.column,
+      alias: g.alias,
+      pattern: g.pattern,
+      resolvedTo: g.resolvedTo
+        ? toPosix(path.relative(rootDir, g.resolvedTo))
+        : null,
+    });
+  }
+  for (const { file, tsconfig } of unownedFiles) {
+    records.push({
+      type: "skipped",
+      reason: "not-in-project",
+      file: toPosix(path.relative(rootDir, file)),
+      tsconfig: toPosix(path.relative(rootDir, tsconfig)),
+    });
+  }
+  for (const { from, candidates } of ambiguous) {
+    records.push({
+      type: "skipped",
+      reason: "ambiguous-reference",
+      from,
+      candidates,
+    });
+  }
+  return records;
+}
+
+function formatCheckReport({ rootDir, files }) {
+  const lines = [];
+  for (const { file, edits } of files) {
+    lines.push(toPosix(path.relative(rootDir, file)));
+    for (const e of edits) {
+      const suffix = e.phase === "refs" ? " (reference)" : "";
+      lines.push(`  ${e.line}:${e.column}  "${e.from}" -> "${e.to}"${suffix}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+function toShortenOptions(args, rootDir) {
+  return {
+    root: rootDir,
+    write: args.write,
+    updateRefs: args.postProcessUpdatedPathReferences,
+    expand: args.expand,
+    expandAlias: args.expandAlias,
+    policy: args.policy,
+    minParentDepth: args.minParentDepth,
+    declarationFiles: args.declarationFiles,
+    project: args.project && path.resolve(args.project),
+    membership: args.membership,
+    fixBroken: args.fixBroken,
+    aliasSource: args.aliasSource,
+    testAliases: args.testAliases,
+    index: args.index,
+    extensions: args.extensions,
+    normalize: args.normalize,
+    paths: args.paths,
+    include: args.include,
+    exclude: args.exclude,
+    changed: args.changed,
+    staged: args.staged,
+    verbose: args.verbose,
+  };
+}
+
+async function formatStdin(args, rootDir) {
+  const sourceText = fs.readFileSync(0, "utf8");
+  const result = await shortenImports({
+    ...toShortenOptions(args, rootDir),
+    filePath: path.resolve(args.stdinFilepath),
+    sourceText,
+    logger: { log: () => {}, warn: console.error },
+  });
+  const file = result.files[0];
+  process.stdout.write(file && !result.blocked ? file.text : sourceText);
+  if (result.blocked) process.exitCode = 1;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  const rootDir = path.resolve(args.root);
+
+  if (args.stdin) {
+    await formatStdin(args, rootDir);
+    return;
+  }
+
+  if (args.reporter !== "json" || args.reportFile) {
+    console.log(`Scanning directory: ${rootDir}`);
+  }
+
+  if (!fs.existsSync(rootDir) || !fs.statSync(rootDir).isDirectory()) {
+    console.error(`Not a directory: ${rootDir}`);
+    process.exit(1);
+  }
+
+  const postProcessUpdatedPathReferences =
+    args.postProcessUpdatedPathReferences;
+
+  const jsonToStdout = args.reporter === "json" && !args.reportFile;
+  const verboseLog = jsonToStdout ? console.error : console.log;
+  const logger =
+    jsonToStdout || args.check || args.diff
+      ? { log: args.verbose ? verboseLog : () => {}, warn: console.warn }
+      : console;
+
+  if (args.watch) {
+    let initial;
+    try {
+      ({ initial } = await watchImports({
+        ...toShortenOptions(args, rootDir),
+        logger: console,
+      }));
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+    console.log(
+      `Scanned ${initial.filesScanned} files, ${args.write ? "updated" : "would update"} ${initial.filesChanged}. Watching for changes...`,
+    );
+    return;
+  }
+
+  let result;
+  try {
+    result = await shortenImports({
+      ...toShortenOptions(args, rootDir),
+      logger,
+    });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  const { filesScanned, filesChanged, postProcessedFilesChanged } = result;
+  if (result.blocked) process.exitCode = 1;
+
+  if (args.reportFile || args.reporter === "json") {
+    const report = JSON.stringify(
+      {
+        root: rootDir,
+        write: args.write,
+        filesScanned,
+        filesChanged,
+        postProcessedFilesChanged,
+        records: buildReportRecords(result),
+      },
+      null,
+      2,
+    );
+    if (args.reportFile) {
+      fs.writeFileSync(path.resolve(args.reportFile), `${report}\n`, "utf8");
+    } else {
+      console.log(report);
+    }
+    if (jsonToStdout) {
+      if (args.check && result.files.length > 0) process.exitCode = 1;
+      return;
+    }
+  }
+
+  if (args.diff) {
+    const color = Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+    for (const { file, sourceText, text } of result.files) {
+      const label = toPosix(path.relative(rootDir, file));
+      const diff = formatUnifiedDiff(label, sourceText, text, { color });
+      if (diff) console.log(diff);
+    }
+  }
+
+  if (args.check) {
+    console.log(`Scanned ${filesScanned} files.`);
+    if (result.files.length === 0) {
+      console.log(
+        args.expand
+          ? "All aliases are already expanded."
+          : "All imports are already as short as possible.",
+      );
+      return;
+    }
+    console.log(formatCheckReport(result));
+    console.log(
+      `${result.files.length} file(s) have imports that can be ${args.expand ? "expanded" : "shortened"}. Run with --write to fix.`,
+    );
+    process.exitCode = 1;
+    return;
   }
 
   console.log(`Scanned ${filesScanned} files.`);
-  if (args.write) {
+  if (args.write && result.blocked) {
+    console.log(
+      `Updated 0 files: fix the test runner aliases or pass --test-aliases warn.`,
+    );
+  } else if (args.write) {
     console.log(`Updated ${filesChanged} files.`);
     if (postProcessUpdatedPathReferences) {
       console.log(`Post-processed ${postProcessedFilesChanged} files.`);
@@ -635,7 +3619,26 @@ async function main() {
   }
 }
 
-main().catch((err) => {
-  console.error(err.stack || err.message || err);
-  process.exit(1);
-});
+module.exports = {
+  shortenImports,
+  watchImports,
+  walk,
+  updateImportsInFile,
+  updatePathReferencesInFile,
+  buildStableReplacementMap,
+  buildAliasMatchers,
+  buildAliasForTarget,
+  resolveBareAlias,
+  resolvePolicyForFile,
+  parseAliasSources,
+  findNearestTsconfig,
+  formatUnifiedDiff,
+  buildReportRecords,
+};
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.stack || err.message || err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,105 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+const { Linter } = require("eslint");
+
+const plugin = require(
+  path.resolve(__dirname, "..", "scripts", "eslint-plugin.js"),
+);
+
+function writeFile(filePath, contents) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, contents, "utf8");
+}
+
+function createLinter(root, options = {}) {
+  const linter = new Linter({ cwd: root });
+  const config = [
+    {
+      files: ["**/*.ts"],
+      plugins: { "shorten-imports": plugin },
+      rules: { "shorten-imports/prefer-shortest-alias": ["error", options] },
+    },
+  ];
+  return {
+    verify: (filePath, text) =>
+      linter.verify(text, config, { filename: filePath }),
+    fix: (filePath, text) =>
+      linter.verifyAndFix(text, config, { filename: filePath }),
+  };
+}
+
+function createRepo() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "shorten-imports-"));
+  writeFile(
+    path.join(root, "tsconfig.json"),
+    JSON.stringify({
+      compilerOptions: {
+        baseUrl: ".",
+        paths: { "@/*": ["src/*"] },
+      },
+    }),
+  );
+  writeFile(path.join(root, "src", "components", "Hello.ts"), "export {};\n");
+  writeFile(path.join(root, "src", "ui", "Card.ts"), "export {};\n");
+  writeFile(path.join(root, "src", "pages", "deep", "util.ts"), "export {};\n");
+  return root;
+}
+
+test("prefer-shortest-alias reports and fixes shortenable specifiers", () => {
+  const root = createRepo();
+  const filePath = path.join(root, "src", "pages", "deep", "Home.ts");
+  const text =
+    'import Hello from "../../components/Hello";\n' +
+    'export * from "./util";\n' +
+    'export { Card } from "../../ui/Card";\n' +
+    'const lazy = () => import("../../ui/Card");\n';
+  writeFile(filePath, text);
+
+  const { verify, fix } = createLinter(root);
+  const messages = verify(filePath, text);
+  assert.deepEqual(
+    messages.map((m) => [m.line, m.column, m.message]),
+    [
+      [1, 19, 'Use "@/components/Hello" instead of "../../components/Hello".'],
+      [3, 22, 'Use "@/ui/Card" instead of "../../ui/Card".'],
+      [4, 27, 'Use "@/ui/Card" instead of "../../ui/Card".'],
+    ],
+  );
+  assert.deepEqual(fix(filePath, text), {
+    fixed: true,
+    messages: [],
+    output:
+      'import Hello from "@/components/Hello";\n' +
+      'export * from "./util";\n' +
+      'export { Card } from "@/ui/Card";\n' +
+      'const lazy = () => import("@/ui/Card");\n',
+  });
+
+  const strict = createLinter(root, {
+    policy: "parent-depth",
+    minParentDepth: 3,
+  });
+  assert.deepEqual(strict.verify(filePath, text), []);
+});
+
+test("prefer-shortest-alias checks files created or unsaved after the first lint", () => {
+  const root = createRepo();
+  const text = 'import Hello from "../../components/Hello";\n';
+  const { verify } = createLinter(root);
+
+  const existing = path.join(root, "src", "pages", "deep", "Home.ts");
+  writeFile(existing, text);
+  assert.equal(verify(existing, text).length, 1);
+
+  const created = path.join(root, "src", "pages", "deep", "Created.ts");
+  writeFile(created, text);
+  assert.equal(verify(created, text).length, 1);
+
+  const unsaved = path.join(root, "src", "pages", "deep", "Unsaved.ts");
+  assert.equal(verify(unsaved, text).length, 1);
+});
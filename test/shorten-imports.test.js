@@ -8,6 +8,7 @@ const os = require("node:os");
 const { execFileSync, spawnSync } = require("node:child_process");
 
 const CLI_PATH = path.resolve(__dirname, "..", "scripts", "shorten-imports.js");
+const { shortenImports, watchImports } = require(CLI_PATH);
 
 function mkdtemp() {
   return fs.mkdtempSync(path.join(os.tmpdir(), "shorten-imports-"));
@@ -33,10 +34,14 @@ function runCli(rootDir, args) {
   });
 }
 
-function runCliWithOutput(rootDir, args) {
-  const result = spawnSync(process.execPath, [CLI_PATH, rootDir, ...args], {
+function spawnCli(rootDir, args) {
+  return spawnSync(process.execPath, [CLI_PATH, rootDir, ...args], {
     encoding: "utf8",
   });
+}
+
+function runCliWithOutput(rootDir, args) {
+  const result = spawnCli(rootDir, args);
   if (result.status !== 0) {
     throw new Error(
       `Command failed (exit ${result.status}):\n${result.stderr || result.stdout}`,
@@ -406,3 +411,1646 @@ test("rewrites dynamic import() paths and post-processes matching jest.mock refe
   const specUpdated = readFile(specFile);
   assert.match(specUpdated, /jest\.mock\(\"@\/components\/CompanyAdminRoute\"/);
 });
+
+test("exposes a programmatic API that returns structured results", async () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: {
+        "@/*": ["src/*"],
+      },
+    },
+  });
+
+  writeFile(
+    path.join(root, "src", "components", "Hello.tsx"),
+    "export default function Hello() { return null; }\n",
+  );
+
+  const targetFile = path.join(root, "src", "pages", "foo", "Baz.tsx");
+  const original = [
+    'import Hello from "../../components/Hello";',
+    "export default function Baz() { return <Hello />; }",
+    "",
+  ].join("\n");
+  writeFile(targetFile, original);
+
+  const result = await shortenImports({ root });
+
+  assert.equal(result.filesScanned, 2);
+  assert.equal(result.filesChanged, 1);
+  assert.deepEqual(result.warnings, []);
+  assert.equal(result.files.length, 1);
+  assert.equal(result.files[0].file, targetFile);
+  assert.equal(result.files[0].sourceText, original);
+  assert.match(result.files[0].text, /from "@\/components\/Hello"/);
+  assert.deepEqual(
+    result.files[0].edits.map(({ phase, from, to }) => ({ phase, from, to })),
+    [
+      {
+        phase: "imports",
+        from: "../../components/Hello",
+        to: "@/components/Hello",
+      },
+    ],
+  );
+  assert.equal(readFile(targetFile), original);
+
+  await shortenImports({ root, write: true });
+  assert.match(readFile(targetFile), /from "@\/components\/Hello"/);
+});
+
+test("--check exits non-zero and lists shortenable specifiers with line:column", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: {
+        "@/*": ["src/*"],
+      },
+    },
+  });
+
+  writeFile(
+    path.join(root, "src", "components", "Hello.tsx"),
+    "export default function Hello() { return null; }\n",
+  );
+
+  const targetFile = path.join(root, "src", "pages", "foo", "Baz.tsx");
+  const original = [
+    'import React from "react";',
+    'import Hello from "../../components/Hello";',
+    "export default function Baz() { return <Hello />; }",
+    "",
+  ].join("\n");
+  writeFile(targetFile, original);
+
+  const failing = spawnCli(root, ["--check"]);
+  assert.equal(failing.status, 1);
+  assert.match(failing.stdout, /^src\/pages\/foo\/Baz\.tsx$/m);
+  assert.match(
+    failing.stdout,
+    /^  2:19  "\.\.\/\.\.\/components\/Hello" -> "@\/components\/Hello"$/m,
+  );
+  assert.equal(readFile(targetFile), original);
+
+  runCli(root, ["--write"]);
+
+  const passing = spawnCli(root, ["--check"]);
+  assert.equal(passing.status, 0);
+  assert.match(passing.stdout, /All imports are already as short as possible/);
+});
+
+test("--diff prints a unified diff of the proposed rewrite without writing", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: {
+        "@/*": ["src/*"],
+      },
+    },
+  });
+
+  writeFile(
+    path.join(root, "src", "components", "Hello.tsx"),
+    "export default function Hello() { return null; }\n",
+  );
+
+  const targetFile = path.join(root, "src", "pages", "foo", "Baz.tsx");
+  const original = [
+    'import Hello from "../../components/Hello";',
+    "export default function Baz() { return <Hello />; }",
+    "",
+  ].join("\n");
+  writeFile(targetFile, original);
+
+  const { stdout } = runCliWithOutput(root, ["--diff"]);
+
+  assert.ok(
+    stdout.includes(
+      [
+        "--- a/src/pages/foo/Baz.tsx",
+        "+++ b/src/pages/foo/Baz.tsx",
+        "@@ -1,2 +1,2 @@",
+        '-import Hello from "../../components/Hello";',
+        '+import Hello from "@/components/Hello";',
+        " export default function Baz() { return <Hello />; }",
+      ].join("\n"),
+    ),
+  );
+  assert.doesNotMatch(stdout, /\u001b\[/);
+  assert.doesNotMatch(stdout, /\[change\]/);
+  assert.equal(readFile(targetFile), original);
+});
+
+test("--diff output applies to CRLF files and files without a final newline", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: { baseUrl: ".", paths: { "@/*": ["src/*"] } },
+  });
+  writeFile(path.join(root, "src", "components", "Hello.ts"), "export {};\n");
+  const crlfFile = path.join(root, "src", "pages", "foo", "Crlf.ts");
+  const crlf =
+    'import Hello from "../../components/Hello";\r\nexport { Hello };\r\n';
+  writeFile(crlfFile, crlf);
+  const bareFile = path.join(root, "src", "pages", "foo", "Bare.ts");
+  const bare = 'import Hello from "../../components/Hello";';
+  writeFile(bareFile, bare);
+
+  const { stdout } = runCliWithOutput(root, ["--diff"]);
+  assert.match(stdout, /^\\ No newline at end of file$/m);
+
+  const patchFile = path.join(root, "imports.patch");
+  fs.writeFileSync(patchFile, stdout, "utf8");
+  execFileSync("git", ["apply", "--check", patchFile], { cwd: root });
+  execFileSync("git", ["apply", patchFile], { cwd: root });
+  assert.equal(
+    readFile(crlfFile),
+    'import Hello from "@/components/Hello";\r\nexport { Hello };\r\n',
+  );
+  assert.equal(readFile(bareFile), 'import Hello from "@/components/Hello";');
+});
+
+test("--reporter json emits one record per edit and per skipped case", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: {
+        "@/*": ["src/*"],
+      },
+    },
+  });
+
+  writeFile(
+    path.join(root, "src", "components", "Hello.tsx"),
+    "export default function Hello() { return null; }\n",
+  );
+  writeFile(
+    path.join(root, "src", "lib", "util.ts"),
+    "export const util = 1;\n",
+  );
+  writeJson(path.join(root, "node_modules", "lib", "package.json"), {
+    name: "lib",
+  });
+
+  const targetFile = path.join(root, "src", "pages", "foo", "Baz.tsx");
+  const original = [
+    'import Hello from "../../components/Hello";',
+    'import { util } from "lib/util";',
+    "export default function Baz() { return <Hello />; }",
+    "",
+  ].join("\n");
+  writeFile(targetFile, original);
+
+  const { stdout } = runCliWithOutput(root, ["--reporter", "json"]);
+  const report = JSON.parse(stdout);
+
+  assert.equal(report.filesScanned, 3);
+  assert.deepEqual(report.records, [
+    {
+      type: "edit",
+      phase: "imports",
+      file: "src/pages/foo/Baz.tsx",
+      line: 1,
+      column: 19,
+      start: 19,
+      from: "../../components/Hello",
+      to: "@/components/Hello",
+      pattern: "@/*",
+      targetPattern: "src/*",
+      tsconfig: "tsconfig.json",
+    },
+    {
+      type: "skipped",
+      reason: "node-modules-conflict",
+      file: "src/pages/foo/Baz.tsx",
+      line: 2,
+      column: 22,
+      from: "lib/util",
+      packageName: "lib",
+    },
+  ]);
+
+  const reportFile = path.join(root, "report.json");
+  const { stdout: textStdout } = runCliWithOutput(root, [
+    `--report-file=${reportFile}`,
+  ]);
+  assert.match(textStdout, /Would update 1 files/);
+  assert.deepEqual(JSON.parse(readFile(reportFile)).records, report.records);
+  assert.equal(readFile(targetFile), original);
+});
+
+test("--expand rewrites aliases back into relative paths, including references", async () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: {
+        "@/*": ["src/*"],
+        "~lib/*": ["lib/*"],
+      },
+    },
+  });
+
+  writeFile(
+    path.join(root, "src", "components", "Hello.tsx"),
+    "export default function Hello() { return null; }\n",
+  );
+  writeFile(path.join(root, "lib", "util.ts"), "export const util = 1;\n");
+
+  const pageFile = path.join(root, "src", "pages", "foo", "Baz.tsx");
+  writeFile(
+    pageFile,
+    [
+      'import Hello from "@/components/Hello";',
+      'import { util } from "~lib/util";',
+      'export { default as HelloTsx } from "@/components/Hello.tsx";',
+      "",
+    ].join("\n"),
+  );
+
+  const specFile = path.join(root, "src", "Baz.spec.tsx");
+  writeFile(specFile, 'jest.mock("@/components/Hello");\n');
+
+  runCli(root, ["--write", "--expand=@/*", "--update-refs"]);
+
+  const pageUpdated = readFile(pageFile);
+  assert.match(pageUpdated, /from "\.\.\/\.\.\/components\/Hello";/);
+  assert.match(pageUpdated, /from "~lib\/util";/);
+  assert.match(pageUpdated, /from "\.\.\/\.\.\/components\/Hello\.tsx";/);
+
+  const specUpdated = readFile(specFile);
+  assert.match(specUpdated, /jest\.mock\("\.\/components\/Hello"\)/);
+
+  const unknown = spawnCli(root, ["--write", "--expand=~nope"]);
+  assert.equal(unknown.status, 1);
+  assert.match(unknown.stderr, /^Unknown alias: ~nope$/m);
+  assert.equal(readFile(pageFile), pageUpdated);
+  await assert.rejects(
+    shortenImports({ root, expand: true, expandAlias: "~nope" }),
+    /Unknown alias: ~nope/,
+  );
+
+  runCli(root, ["--write", "--expand=~lib"]);
+  assert.match(readFile(pageFile), /from "\.\.\/\.\.\/\.\.\/lib\/util";/);
+});
+
+test("applies the rewrite policy from the CLI and nearest .shorten-imports.json", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: {
+        "@/*": ["src/*"],
+      },
+    },
+  });
+
+  writeJson(path.join(root, "src", "features", ".shorten-imports.json"), {
+    policy: "parent-depth",
+    minParentDepth: 1,
+  });
+
+  writeFile(
+    path.join(root, "src", "features", "a", "Button.tsx"),
+    "export const Button = () => null;\n",
+  );
+  writeFile(
+    path.join(root, "src", "features", "b", "Widget.tsx"),
+    "export const Widget = () => null;\n",
+  );
+  writeFile(
+    path.join(root, "src", "legacy", "Button.tsx"),
+    "export const Button = () => null;\n",
+  );
+
+  const featureFile = path.join(root, "src", "features", "a", "Thing.tsx");
+  writeFile(
+    featureFile,
+    [
+      'import { Button } from "./Button";',
+      'import { Widget } from "../b/Widget";',
+      "",
+    ].join("\n"),
+  );
+
+  const legacyFile = path.join(root, "src", "legacy", "Page.tsx");
+  writeFile(legacyFile, 'import { Button } from "./Button";\n');
+
+  runCli(root, ["--write", "--policy", "always-alias"]);
+
+  const featureUpdated = readFile(featureFile);
+  assert.match(featureUpdated, /from "\.\/Button"/);
+  assert.match(featureUpdated, /from "@\/features\/b\/Widget"/);
+
+  assert.match(readFile(legacyFile), /from "@\/legacy\/Button"/);
+});
+
+test("rejects unknown rewrite policies", () => {
+  const root = mkdtemp();
+
+  const result = spawnCli(root, ["--policy", "longest"]);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Unknown policy "longest"/);
+});
+
+test("rewrites require(), require.resolve() and module.require() specifiers", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      allowJs: true,
+      baseUrl: ".",
+      paths: {
+        "@/*": ["src/*"],
+      },
+    },
+  });
+
+  writeFile(path.join(root, "src", "lib", "x.js"), "module.exports = 1;\n");
+  writeFile(
+    path.join(root, "src", "fixtures", "y.json"),
+    JSON.stringify({ y: 1 }),
+  );
+
+  const targetFile = path.join(root, "src", "features", "deep", "thing.js");
+  writeFile(
+    targetFile,
+    [
+      'const x = require("../../lib/x");',
+      'const fixture = require.resolve("../../fixtures/y.json");',
+      'const again = module.require("../../lib/x");',
+      'const dynamic = require(name + "../../lib/x");',
+      "",
+    ].join("\n"),
+  );
+
+  runCli(root, ["--write"]);
+
+  const updated = readFile(targetFile);
+  assert.match(updated, /require\("@\/lib\/x"\);/);
+  assert.match(updated, /require\.resolve\("@\/fixtures\/y\.json"\)/);
+  assert.match(updated, /module\.require\("@\/lib\/x"\)/);
+  assert.match(updated, /require\(name \+ "\.\.\/\.\.\/lib\/x"\)/);
+});
+
+test("rewrites TypeScript-only module references and JSDoc import types", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      allowJs: true,
+      baseUrl: ".",
+      paths: {
+        "@/*": ["src/*"],
+      },
+    },
+  });
+
+  writeFile(
+    path.join(root, "src", "models", "User.ts"),
+    "export interface User { id: string }\n",
+  );
+
+  const tsFile = path.join(root, "src", "features", "deep", "thing.ts");
+  writeFile(
+    tsFile,
+    [
+      'import legacy = require("../../models/User");',
+      'type UserModule = typeof import("../../models/User");',
+      'type User = import("../../models/User").User;',
+      'declare module "../../models/User" {',
+      "  interface User { name: string }",
+      "}",
+      "",
+    ].join("\n"),
+  );
+
+  const jsFile = path.join(root, "src", "features", "deep", "thing.js");
+  writeFile(
+    jsFile,
+    [
+      '/** @type {import("../../models/User").User} */',
+      "const user = null;",
+      "",
+    ].join("\n"),
+  );
+
+  runCli(root, ["--write"]);
+
+  const tsUpdated = readFile(tsFile);
+  assert.match(tsUpdated, /import legacy = require\("@\/models\/User"\);/);
+  assert.match(tsUpdated, /typeof import\("@\/models\/User"\);/);
+  assert.match(tsUpdated, /= import\("@\/models\/User"\)\.User;/);
+  assert.match(tsUpdated, /declare module "@\/models\/User" \{/);
+
+  const jsUpdated = readFile(jsFile);
+  assert.match(jsUpdated, /@type \{import\("@\/models\/User"\)\.User\}/);
+});
+
+test("scans .mts/.cts/.mjs/.cjs files and resolves declaration files", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: {
+        "@/*": ["src/*"],
+      },
+    },
+  });
+
+  writeFile(path.join(root, "src", "lib", "esm.mts"), "export const a = 1;\n");
+  writeFile(path.join(root, "src", "lib", "cjs.cjs"), "module.exports = 1;\n");
+  writeFile(
+    path.join(root, "src", "types", "globals.d.ts"),
+    "export type Id = string;\n",
+  );
+
+  const mtsFile = path.join(root, "src", "features", "deep", "entry.mts");
+  writeFile(
+    mtsFile,
+    [
+      'import { a } from "../../lib/esm.mts";',
+      'import type { Id } from "types/globals";',
+      "",
+    ].join("\n"),
+  );
+
+  const cjsFile = path.join(root, "src", "features", "deep", "build.cjs");
+  writeFile(cjsFile, 'const cjs = require("../../lib/cjs.cjs");\n');
+
+  const dtsFile = path.join(root, "src", "features", "deep", "ambient.d.ts");
+  const dtsOriginal = 'import type { Id } from "../../types/globals.d.ts";\n';
+  writeFile(dtsFile, dtsOriginal);
+
+  runCli(root, ["--write", "--declaration-files", "skip"]);
+
+  const mtsUpdated = readFile(mtsFile);
+  assert.match(mtsUpdated, /from "@\/lib\/esm\.mts"/);
+  assert.match(mtsUpdated, /from "@\/types\/globals"/);
+  assert.match(readFile(cjsFile), /require\("@\/lib\/cjs\.cjs"\)/);
+  assert.equal(readFile(dtsFile), dtsOriginal);
+
+  runCli(root, ["--write"]);
+  assert.match(readFile(dtsFile), /from "@\/types\/globals\.d\.ts"/);
+});
+
+test("rewrites script imports in Vue, Svelte and Astro components", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: {
+        "@/*": ["src/*"],
+      },
+    },
+  });
+
+  writeFile(
+    path.join(root, "src", "components", "Hello.ts"),
+    "export const Hello = {};\n",
+  );
+
+  const vueFile = path.join(root, "src", "pages", "foo", "Page.vue");
+  writeFile(
+    vueFile,
+    [
+      "<template>",
+      '  <Hello src="../../components/Hello" />',
+      '  <!-- <script>import y from "../../components/Hello"</script> -->',
+      "</template>",
+      "<script>",
+      'export { Hello } from "../../components/Hello";',
+      "</script>",
+      '<script setup lang="ts">',
+      'import { Hello } from "../../components/Hello";',
+      "</script>",
+      "",
+    ].join("\n"),
+  );
+
+  const svelteFile = path.join(root, "src", "pages", "foo", "Page.svelte");
+  writeFile(
+    svelteFile,
+    [
+      '<script lang="ts">',
+      '  import { Hello } from "../../components/Hello";',
+      "</script>",
+      "<h1>Hello</h1>",
+      "",
+    ].join("\n"),
+  );
+
+  const astroFile = path.join(root, "src", "pages", "foo", "Page.astro");
+  writeFile(
+    astroFile,
+    [
+      "---",
+      'import { Hello } from "../../components/Hello";',
+      "---",
+      "<h1>Hello</h1>",
+      "<script>",
+      '  import { Hello } from "../../components/Hello";',
+      "</script>",
+      "",
+    ].join("\n"),
+  );
+
+  const { stdout } = spawnCli(root, ["--check"]);
+  assert.match(stdout, /^src\/pages\/foo\/Page\.vue\n {2}6:23 .*\n {2}9:23 /m);
+
+  runCli(root, ["--write"]);
+
+  const vueUpdated = readFile(vueFile);
+  assert.match(vueUpdated, /src="\.\.\/\.\.\/components\/Hello"/);
+  assert.match(
+    vueUpdated,
+    /<!-- <script>import y from "\.\.\/\.\.\/components/,
+  );
+  assert.match(vueUpdated, /export \{ Hello \} from "@\/components\/Hello";/);
+  assert.match(vueUpdated, /import \{ Hello \} from "@\/components\/Hello";/);
+
+  assert.match(
+    readFile(svelteFile),
+    /  import \{ Hello \} from "@\/components\/Hello";/,
+  );
+
+  const astroUpdated = readFile(astroFile);
+  assert.doesNotMatch(astroUpdated, /\.\.\/\.\.\/components/);
+});
+
+test("follows solution-style project references to the config that owns each file", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    files: [],
+    references: [
+      { path: "./tsconfig.app.json" },
+      { path: "./tsconfig.node.json" },
+    ],
+  });
+  writeJson(path.join(root, "tsconfig.app.json"), {
+    compilerOptions: {
+      composite: true,
+      baseUrl: ".",
+      paths: { "@/*": ["src/*"] },
+    },
+    include: ["src"],
+  });
+  writeJson(path.join(root, "tsconfig.node.json"), {
+    compilerOptions: {
+      composite: true,
+      baseUrl: ".",
+      paths: { "#tools/*": ["scripts/tools/*"] },
+    },
+    include: ["scripts"],
+  });
+
+  writeFile(
+    path.join(root, "src", "components", "Hello.tsx"),
+    "export const Hello = () => null;\n",
+  );
+  writeFile(
+    path.join(root, "scripts", "tools", "log.ts"),
+    "export const log = () => {};\n",
+  );
+
+  const appFile = path.join(root, "src", "pages", "foo", "Baz.tsx");
+  writeFile(appFile, 'import { Hello } from "../../components/Hello";\n');
+
+  const scriptFile = path.join(root, "scripts", "release", "deep", "run.ts");
+  writeFile(scriptFile, 'import { log } from "../../tools/log";\n');
+
+  runCli(root, ["--write"]);
+
+  assert.match(readFile(appFile), /from "@\/components\/Hello"/);
+  assert.match(readFile(scriptFile), /from "#tools\/log"/);
+});
+
+test("--project overrides the nearest tsconfig.json", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: { strict: true },
+  });
+  writeJson(path.join(root, "tsconfig.build.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: { "@/*": ["src/*"] },
+    },
+  });
+
+  writeFile(
+    path.join(root, "src", "components", "Hello.tsx"),
+    "export const Hello = () => null;\n",
+  );
+
+  const targetFile = path.join(root, "src", "pages", "foo", "Baz.tsx");
+  const original = 'import { Hello } from "../../components/Hello";\n';
+  writeFile(targetFile, original);
+
+  runCli(root, ["--write"]);
+  assert.equal(readFile(targetFile), original);
+
+  runCli(root, [
+    "--write",
+    "--project",
+    path.join(root, "tsconfig.build.json"),
+  ]);
+  assert.match(readFile(targetFile), /from "@\/components\/Hello"/);
+});
+
+test("skips files excluded by their tsconfig and can fall back to another config", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: { "@/*": ["src/*"] },
+    },
+    include: ["src"],
+    exclude: ["src/**/*.stories.tsx"],
+  });
+  writeJson(path.join(root, "tsconfig.storybook.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: { "~/*": ["src/*"] },
+    },
+    include: ["src/**/*.stories.tsx"],
+  });
+
+  writeFile(
+    path.join(root, "src", "components", "Hello.tsx"),
+    "export const Hello = () => null;\n",
+  );
+
+  const storyFile = path.join(
+    root,
+    "src",
+    "stories",
+    "deep",
+    "Hello.stories.tsx",
+  );
+  const original = 'import { Hello } from "../../components/Hello";\n';
+  writeFile(storyFile, original);
+
+  const { stdout, stderr } = runCliWithOutput(root, [
+    "--write",
+    "--report-file",
+    path.join(root, "report.json"),
+  ]);
+  assert.equal(readFile(storyFile), original);
+  assert.match(stdout, /Updated 0 files/);
+  assert.match(stderr, /Skipped 1 file\(s\) not included by any tsconfig/);
+  assert.deepEqual(
+    JSON.parse(readFile(path.join(root, "report.json"))).records,
+    [
+      {
+        type: "skipped",
+        reason: "not-in-project",
+        file: "src/stories/deep/Hello.stories.tsx",
+        tsconfig: "tsconfig.json",
+      },
+    ],
+  );
+
+  runCli(root, ["--write", "--membership", "fallback"]);
+  assert.match(readFile(storyFile), /from "~\/components\/Hello"/);
+
+  writeFile(storyFile, original);
+  runCli(root, ["--write", "--membership", "off"]);
+  assert.match(readFile(storyFile), /from "@\/components\/Hello"/);
+});
+
+test("keeps relative imports whose alias would resolve to a shadowing file", async () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: { "@/*": ["src/*", "generated/*"] },
+    },
+  });
+  writeFile(path.join(root, "src", "foo.ts"), "export const foo = 1;\n");
+  writeFile(path.join(root, "generated", "foo.ts"), "export const foo = 2;\n");
+  writeFile(path.join(root, "generated", "bar.ts"), "export const bar = 3;\n");
+
+  const appFile = path.join(root, "src", "app", "deep", "index.ts");
+  writeFile(
+    appFile,
+    'import { foo } from "../../../generated/foo";\n' +
+      'import { bar } from "../../../generated/bar";\n',
+  );
+
+  const result = await shortenImports({
+    root,
+    logger: { log() {}, warn() {} },
+  });
+  assert.deepEqual(
+    result.files[0].edits.map((e) => e.to),
+    ["@/bar"],
+  );
+  assert.equal(result.rejected.length, 1);
+  assert.equal(result.rejected[0].from, "../../../generated/foo");
+  assert.equal(result.rejected[0].candidate, "@/foo");
+  assert.equal(result.rejected[0].reason, "resolves-to-other-file");
+  assert.equal(result.rejected[0].resolvedTo, path.join(root, "src", "foo.ts"));
+});
+
+test("keeps relative imports whose alias only resolves outside TypeScript", async () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: { noEmit: true },
+  });
+  writeJson(path.join(root, "package.json"), {
+    name: "app",
+    imports: { "#lib/*": "./src/lib/*" },
+  });
+  writeFile(path.join(root, "src", "lib", "foo.ts"), "export {};\n");
+
+  const pageFile = path.join(root, "src", "pages", "deep", "Home.ts");
+  const original = 'import { foo } from "../../lib/foo";\n';
+  writeFile(pageFile, original);
+
+  const result = await shortenImports({
+    root,
+    write: true,
+    policy: "always-alias",
+    logger: { log() {}, warn() {} },
+  });
+  assert.equal(readFile(pageFile), original);
+  assert.deepEqual(result.files, []);
+});
+
+test("follows NodeNext extension rules for .js specifiers of .ts files", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "package.json"), { type: "module" });
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      module: "nodenext",
+      moduleResolution: "nodenext",
+      baseUrl: ".",
+      paths: { "@/*": ["src/*"] },
+    },
+  });
+  writeFile(path.join(root, "src", "lib", "format.ts"), "export {};\n");
+  writeFile(path.join(root, "src", "lib", "user.service.ts"), "export {};\n");
+
+  const appFile = path.join(root, "src", "features", "deep", "index.ts");
+  const original =
+    'import { format } from "../../lib/format.js";\n' +
+    'import { UserService } from "../../lib/user.service.js";\n';
+  writeFile(appFile, original);
+
+  runCli(root, ["--write"]);
+  assert.equal(
+    readFile(appFile),
+    'import { format } from "@/lib/format.js";\n' +
+      'import { UserService } from "@/lib/user.service.js";\n',
+  );
+
+  runCli(root, ["--write", "--expand"]);
+  assert.equal(readFile(appFile), original);
+});
+
+test("emits output extensions when rewriteRelativeImportExtensions is enabled", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      module: "nodenext",
+      moduleResolution: "nodenext",
+      rewriteRelativeImportExtensions: true,
+      baseUrl: ".",
+      paths: { "@/*": ["src/*"] },
+    },
+  });
+  writeFile(path.join(root, "src", "lib", "format.ts"), "export {};\n");
+
+  const appFile = path.join(root, "src", "features", "deep", "index.ts");
+  writeFile(appFile, 'import { format } from "../../lib/format.ts";\n');
+
+  runCli(root, ["--write"]);
+  assert.equal(
+    readFile(appFile),
+    'import { format } from "@/lib/format.js";\n',
+  );
+});
+
+test("reports unresolved relative imports and fixes moved files with --fix-broken", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: { "@/*": ["src/*"] },
+    },
+  });
+  writeFile(
+    path.join(root, "src", "ui", "components", "Hello.tsx"),
+    "export const Hello = () => null;\n",
+  );
+  writeFile(path.join(root, "src", "a", "utils.ts"), "export {};\n");
+  writeFile(path.join(root, "src", "b", "utils.ts"), "export {};\n");
+
+  const pageFile = path.join(root, "src", "pages", "deep", "Home.tsx");
+  const original =
+    'import { Hello } from "../../components/Hello";\n' +
+    'import { format } from "../../utils";\n' +
+    'import { gone } from "../../missing";\n';
+  writeFile(pageFile, original);
+
+  const { stderr } = runCliWithOutput(root, [
+    "--write",
+    "--report-file",
+    path.join(root, "report.json"),
+  ]);
+  assert.equal(readFile(pageFile), original);
+  assert.match(stderr, /Unresolved import "\.\.\/\.\.\/components\/Hello"/);
+  assert.deepEqual(
+    JSON.parse(readFile(path.join(root, "report.json")))
+      .records.filter((r) => r.reason === "unresolved-import")
+      .map((r) => [r.from, r.line]),
+    [
+      ["../../components/Hello", 1],
+      ["../../utils", 2],
+      ["../../missing", 3],
+    ],
+  );
+
+  const fixed = runCliWithOutput(root, ["--write", "--fix-broken"]);
+  assert.equal(
+    readFile(pageFile),
+    'import { Hello } from "@/ui/components/Hello";\n' +
+      'import { format } from "../../utils";\n' +
+      'import { gone } from "../../missing";\n',
+  );
+  assert.match(fixed.stderr, /"\.\.\/\.\.\/utils" .* matches 2 files/);
+});
+
+test("uses package.json imports as an alias source", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "package.json"), {
+    name: "app",
+    imports: {
+      "#app/*": { types: "./src/*", default: "./dist/*" },
+    },
+  });
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      module: "esnext",
+      moduleResolution: "bundler",
+    },
+  });
+  writeFile(path.join(root, "src", "lib", "format.ts"), "export {};\n");
+
+  const pageFile = path.join(root, "src", "pages", "deep", "Home.ts");
+  const original = 'import { format } from "../../lib/format.js";\n';
+  writeFile(pageFile, original);
+
+  runCli(root, ["--write"]);
+  assert.equal(
+    readFile(pageFile),
+    'import { format } from "#app/lib/format.js";\n',
+  );
+
+  runCli(root, ["--write", "--expand=#app/*"]);
+  assert.equal(readFile(pageFile), original);
+
+  runCli(root, ["--write", "--alias-source", "paths"]);
+  assert.equal(readFile(pageFile), original);
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: { noEmit: true },
+  });
+  const node10 = spawnCli(root, ["--write", "--policy", "always-alias"]);
+  assert.equal(node10.status, 0);
+  assert.equal(readFile(pageFile), original);
+  assert.doesNotMatch(node10.stderr, /#app/);
+});
+
+test("reads aliases from Vite, webpack and babel module-resolver configs", () => {
+  const root = mkdtemp();
+
+  writeFile(
+    path.join(root, "apps", "vite", "vite.config.ts"),
+    [
+      'import { fileURLToPath, URL } from "node:url";',
+      'import { defineConfig } from "vite";',
+      "",
+      "export default defineConfig({",
+      "  resolve: {",
+      '    alias: [{ find: "@", replacement: fileURLToPath(new URL("./src", import.meta.url)) }],',
+      "  },",
+      "});",
+      "",
+    ].join("\n"),
+  );
+  writeFile(
+    path.join(root, "apps", "webpack", "webpack.config.js"),
+    [
+      'const path = require("path");',
+      'const src = path.resolve(__dirname, "src");',
+      "",
+      "module.exports = {",
+      "  resolve: {",
+      '    alias: { "~": src, Config$: path.join(src, "config.js") },',
+      "  },",
+      "};",
+      "",
+    ].join("\n"),
+  );
+  writeJson(path.join(root, "apps", "babel", ".babelrc"), {
+    plugins: [["module-resolver", { alias: { "#lib": "./src/lib" } }]],
+  });
+
+  const files = {
+    vite: ["src/ui/Button.tsx", "src/pages/deep/Home.tsx", "../../ui/Button"],
+    webpack: ["src/config.js", "src/pages/deep/Home.js", "../../config.js"],
+    babel: ["src/lib/format.js", "src/pages/deep/Home.js", "../../lib/format"],
+  };
+  for (const [app, [target, importer, spec]] of Object.entries(files)) {
+    writeFile(path.join(root, "apps", app, target), "export {};\n");
+    writeFile(
+      path.join(root, "apps", app, importer),
+      `import x from "${spec}";\n`,
+    );
+  }
+
+  runCli(root, ["--write"]);
+  assert.equal(
+    readFile(path.join(root, "apps", "vite", "src/pages/deep/Home.tsx")),
+    'import x from "@/ui/Button";\n',
+  );
+  assert.equal(
+    readFile(path.join(root, "apps", "webpack", "src/pages/deep/Home.js")),
+    'import x from "Config";\n',
+  );
+  assert.equal(
+    readFile(path.join(root, "apps", "babel", "src/pages/deep/Home.js")),
+    'import x from "#lib/format";\n',
+  );
+});
+
+test("only uses bundler aliases that TypeScript resolves in tsconfig projects", async () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: { "@src/*": ["src/*"] },
+    },
+  });
+  writeFile(
+    path.join(root, "vite.config.ts"),
+    'import path from "node:path";\n' +
+      "export default {\n" +
+      '  resolve: { alias: { "~": path.resolve(__dirname, "src") } },\n' +
+      "};\n",
+  );
+  writeFile(path.join(root, "src", "lib", "foo.ts"), "export {};\n");
+
+  const pageFile = path.join(root, "src", "pages", "deep", "Home.ts");
+  writeFile(pageFile, 'import { foo } from "../../lib/foo";\n');
+
+  const result = await shortenImports({
+    root,
+    write: true,
+    logger: { log() {}, warn() {} },
+  });
+  assert.equal(readFile(pageFile), 'import { foo } from "@src/lib/foo";\n');
+  assert.deepEqual(
+    result.rejected.map((r) => [r.candidate, r.reason]),
+    [["~/lib/foo", "unresolved"]],
+  );
+});
+
+test("rewrites cross-package relative imports to workspace package exports", () => {
+  const root = mkdtemp();
+
+  writeFile(
+    path.join(root, "pnpm-workspace.yaml"),
+    "packages:\n  - 'packages/*'\n",
+  );
+  writeJson(path.join(root, "packages", "ui", "package.json"), {
+    name: "@acme/ui",
+    exports: {
+      ".": "./src/index.ts",
+      "./button": { types: "./src/Button.tsx", default: "./dist/Button.js" },
+    },
+  });
+  writeFile(
+    path.join(root, "packages", "ui", "src", "index.ts"),
+    "export {};\n",
+  );
+  writeFile(
+    path.join(root, "packages", "ui", "src", "Button.tsx"),
+    "export {};\n",
+  );
+  writeFile(
+    path.join(root, "packages", "ui", "src", "internal.ts"),
+    "export {};\n",
+  );
+  writeJson(path.join(root, "packages", "app", "package.json"), {
+    name: "@acme/app",
+    dependencies: { "@acme/ui": "workspace:*" },
+  });
+  fs.mkdirSync(path.join(root, "packages", "app", "node_modules", "@acme"), {
+    recursive: true,
+  });
+  fs.symlinkSync(
+    path.join(root, "packages", "ui"),
+    path.join(root, "packages", "app", "node_modules", "@acme", "ui"),
+  );
+  writeFile(
+    path.join(root, "packages", "app", "src", "local.ts"),
+    "export {};\n",
+  );
+
+  const mainFile = path.join(root, "packages", "app", "src", "main.ts");
+  writeFile(
+    mainFile,
+    'import { Button } from "../../ui/src/Button";\n' +
+      'import { ui } from "../../ui/src/index";\n' +
+      'import { secret } from "../../ui/src/internal";\n' +
+      'import { local } from "./local";\n',
+  );
+
+  const { stderr } = runCliWithOutput(root, ["--write"]);
+  assert.equal(
+    readFile(mainFile),
+    'import { Button } from "@acme/ui/button";\n' +
+      'import { ui } from "@acme/ui";\n' +
+      'import { secret } from "../../ui/src/internal";\n' +
+      'import { local } from "./local";\n',
+  );
+  assert.match(
+    stderr,
+    /internal\.ts is not exported by workspace package "@acme\/ui"/,
+  );
+});
+
+test("checks that Jest moduleNameMapper covers the aliases it rewrites to", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: { "@/*": ["src/*"], "~lib/*": ["lib/*"] },
+    },
+  });
+  writeFile(
+    path.join(root, "jest.config.js"),
+    'module.exports = {\n  moduleNameMapper: { "^@/(.*)$": "<rootDir>/src/$1" },\n};\n',
+  );
+  writeFile(path.join(root, "src", "ui", "Card.ts"), "export {};\n");
+  writeFile(path.join(root, "lib", "format.ts"), "export {};\n");
+
+  const pageFile = path.join(root, "src", "pages", "deep", "Home.ts");
+  const original =
+    'import { Card } from "../../ui/Card";\n' +
+    'import { format } from "../../../lib/format";\n';
+  writeFile(pageFile, original);
+
+  const blocked = spawnCli(root, ["--write", "--test-aliases", "error"]);
+  assert.equal(blocked.status, 1);
+  assert.match(
+    blocked.stderr,
+    /jest config .*jest\.config\.js does not map "~lib\/\*"/,
+  );
+  assert.doesNotMatch(blocked.stderr, /does not map "@\/\*"/);
+  assert.equal(readFile(pageFile), original);
+
+  const warned = spawnCli(root, ["--write"]);
+  assert.equal(warned.status, 0);
+  assert.match(warned.stderr, /does not map "~lib\/\*"/);
+  assert.match(readFile(pageFile), /from "~lib\/format"/);
+});
+
+test("skips Jest configs whose mappings cannot be evaluated", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: { baseUrl: ".", paths: { "@/*": ["src/*"] } },
+  });
+  writeFile(
+    path.join(root, "jest.config.js"),
+    'const { pathsToModuleNameMapper } = require("ts-jest");\n' +
+      'const { compilerOptions } = require("./tsconfig.json");\n' +
+      "module.exports = {\n" +
+      '  moduleNameMapper: pathsToModuleNameMapper(compilerOptions.paths, { prefix: "<rootDir>/" }),\n' +
+      "};\n",
+  );
+  writeFile(path.join(root, "src", "ui", "Card.ts"), "export {};\n");
+  const pageFile = path.join(root, "src", "pages", "deep", "Home.ts");
+  writeFile(pageFile, 'import { Card } from "../../ui/Card";\n');
+  writeFile(
+    path.join(root, "src", "pages", "deep", "Other.ts"),
+    'import { Card } from "../../ui/Card";\n',
+  );
+
+  const result = spawnCli(root, ["--write", "--test-aliases", "error"]);
+  assert.equal(result.status, 0);
+  assert.equal(
+    result.stderr.match(
+      /cannot be verified \(moduleNameMapper is not static\)/g,
+    ).length,
+    1,
+  );
+  assert.doesNotMatch(result.stderr, /does not map/);
+  assert.match(readFile(pageFile), /from "@\/ui\/Card"/);
+});
+
+test("skips Vitest configs that cannot be evaluated", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: { baseUrl: ".", paths: { "@/*": ["src/*"] } },
+  });
+  writeFile(
+    path.join(root, "vite.config.ts"),
+    'import path from "node:path";\n' +
+      'import { defineConfig } from "vite";\n' +
+      "export default defineConfig({\n" +
+      '  resolve: { alias: { "@": path.resolve(__dirname, "src") } },\n' +
+      "});\n",
+  );
+  writeFile(
+    path.join(root, "vitest.config.ts"),
+    'import { defineConfig, mergeConfig } from "vitest/config";\n' +
+      'import viteConfig from "./vite.config";\n' +
+      "export default mergeConfig(\n" +
+      "  viteConfig,\n" +
+      '  defineConfig({ test: { environment: "jsdom" } }),\n' +
+      ");\n",
+  );
+  writeFile(path.join(root, "src", "ui", "Card.ts"), "export {};\n");
+  const pageFile = path.join(root, "src", "pages", "deep", "Home.ts");
+  writeFile(pageFile, 'import { Card } from "../../ui/Card";\n');
+
+  const result = spawnCli(root, ["--write", "--test-aliases", "error"]);
+  assert.equal(result.status, 0);
+  assert.match(
+    result.stderr,
+    /vitest config .*vitest\.config\.ts cannot be verified \(its exported config is not static\)/,
+  );
+  assert.doesNotMatch(result.stderr, /does not map/);
+  assert.match(readFile(pageFile), /from "@\/ui\/Card"/);
+});
+
+test("collapses index files and normalises specifier shape", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      moduleResolution: "bundler",
+      paths: { "@/*": ["src/*"] },
+    },
+  });
+  writeFile(
+    path.join(root, "src", "components", "Button", "index.ts"),
+    "export {};\n",
+  );
+  writeFile(path.join(root, "src", "lib", "format.ts"), "export {};\n");
+  writeFile(path.join(root, "src", "pages", "util.ts"), "export {};\n");
+
+  const pageFile = path.join(root, "src", "pages", "deep", "Home.ts");
+  const original = 'import { Button } from "../../components/Button/index";\n';
+  writeFile(pageFile, original);
+
+  runCli(root, ["--write"]);
+  assert.equal(
+    readFile(pageFile),
+    'import { Button } from "@/components/Button/index";\n',
+  );
+
+  writeFile(pageFile, original);
+  runCli(root, ["--write", "--index", "collapse"]);
+  assert.equal(
+    readFile(pageFile),
+    'import { Button } from "@/components/Button";\n',
+  );
+
+  writeFile(
+    pageFile,
+    'import { Button } from "@/components/Button/index";\n' +
+      'import { format } from "@/lib//format.js";\n' +
+      'import { util } from "./.././util";\n',
+  );
+  runCli(root, ["--write", "--normalize", "--index", "collapse"]);
+  assert.equal(
+    readFile(pageFile),
+    'import { Button } from "@/components/Button";\n' +
+      'import { format } from "@/lib/format.js";\n' +
+      'import { util } from "../util";\n',
+  );
+
+  runCli(root, ["--write", "--normalize", "--extensions", "remove"]);
+  assert.match(readFile(pageFile), /from "@\/lib\/format";/);
+
+  runCli(root, ["--write", "--normalize", "--extensions", "add"]);
+  assert.equal(
+    readFile(pageFile),
+    'import { Button } from "@/components/Button/index.js";\n' +
+      'import { format } from "@/lib/format.js";\n' +
+      'import { util } from "../util.js";\n',
+  );
+});
+
+test("resolves jest.mock and vi.mock references relative to their own file", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: { "@/*": ["src/*"] },
+    },
+  });
+  writeFile(path.join(root, "src", "a", "utils.ts"), "export {};\n");
+  writeFile(path.join(root, "src", "b", "utils.ts"), "export {};\n");
+
+  const aSpec = path.join(root, "src", "a", "deep", "nested", "x.test.ts");
+  writeFile(
+    aSpec,
+    'import { u } from "../../utils";\n' +
+      'jest.mock("../../utils");\n' +
+      'const actual = jest.requireActual("../../utils");\n',
+  );
+  const bSpec = path.join(root, "src", "b", "deep", "nested", "y.test.ts");
+  writeFile(
+    bSpec,
+    'import { u } from "../../utils";\n' +
+      'vi.mock("../../utils", () => ({}));\n' +
+      'const label = "../../utils";\n',
+  );
+  writeFile(
+    path.join(root, "src", "b", "y", "z.ts"),
+    'import { u } from "../utils";\n',
+  );
+  const otherSpec = path.join(root, "src", "c", "x", "t.test.ts");
+  const other = 'const s = "../utils";\n';
+  writeFile(otherSpec, other);
+
+  runCli(root, ["--write", "--update-refs"]);
+
+  assert.equal(
+    readFile(aSpec),
+    'import { u } from "@/a/utils";\n' +
+      'jest.mock("@/a/utils");\n' +
+      'const actual = jest.requireActual("@/a/utils");\n',
+  );
+  assert.equal(
+    readFile(bSpec),
+    'import { u } from "@/b/utils";\n' +
+      'vi.mock("@/b/utils", () => ({}));\n' +
+      'const label = "@/b/utils";\n',
+  );
+  assert.equal(readFile(otherSpec), other);
+});
+
+test("limits rewriting to given paths, globs and git-changed files", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: { "@/*": ["src/*"] },
+    },
+  });
+  writeFile(path.join(root, "src", "lib", "format.ts"), "export {};\n");
+  const original = 'import { format } from "../../lib/format";\n';
+  const rewritten = 'import { format } from "@/lib/format";\n';
+  const loginFile = path.join(root, "src", "features", "auth", "Login.ts");
+  const loginTest = path.join(root, "src", "features", "auth", "Login.test.ts");
+  const cartFile = path.join(root, "src", "features", "cart", "Cart.ts");
+  const files = [loginFile, loginTest, cartFile];
+  const reset = () => {
+    for (const file of files) {
+      writeFile(file, original);
+    }
+  };
+  const changedFiles = () =>
+    files.filter((file) => readFile(file).includes('"@/lib/format"'));
+
+  reset();
+  runCli(root, [
+    "--write",
+    path.join(root, "src", "features", "auth"),
+    "--exclude",
+    "**/*.test.ts",
+  ]);
+  assert.deepEqual(changedFiles(), [loginFile]);
+
+  reset();
+  runCli(root, ["--write", "--include", "src/features/cart"]);
+  assert.deepEqual(changedFiles(), [cartFile]);
+
+  reset();
+  const git = (...args) =>
+    execFileSync(
+      "git",
+      ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args],
+      { cwd: root, stdio: "pipe" },
+    );
+  git("init", "-q");
+  git("add", "-A");
+  git("commit", "-q", "-m", "init");
+  fs.appendFileSync(cartFile, "export const cart = 1;\n");
+  fs.appendFileSync(loginTest, "export const login = 1;\n");
+  git("add", loginTest);
+
+  runCli(root, ["--write", "--staged"]);
+  assert.deepEqual(changedFiles(), [loginTest]);
+
+  runCli(root, ["--write", "--changed"]);
+  assert.deepEqual(changedFiles(), [loginTest, cartFile]);
+  assert.equal(readFile(loginFile), original);
+  assert.equal(readFile(cartFile), rewritten + "export const cart = 1;\n");
+
+  reset();
+  git("branch", "base");
+  fs.appendFileSync(loginFile, "export const login = 1;\n");
+  git("add", loginFile);
+  git("commit", "-q", "-m", "login");
+  runCli(root, ["--write", "--changed", "base"]);
+  assert.deepEqual(changedFiles(), [loginFile]);
+
+  const unknownRef = spawnCli(root, ["--changed", "no-such-ref"]);
+  assert.equal(unknownRef.status, 1);
+  assert.match(unknownRef.stderr, /no-such-ref/);
+});
+
+test("limits rewriting to git-changed files when the root is below the git top level", () => {
+  const repo = mkdtemp();
+  const root = path.join(repo, "packages", "app");
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: { "@/*": ["src/*"] },
+    },
+  });
+  writeFile(path.join(root, "src", "lib", "format.ts"), "export {};\n");
+  const original = 'import { format } from "../../lib/format";\n';
+  const trackedFile = path.join(root, "src", "features", "auth", "Login.ts");
+  const deletedFile = path.join(root, "src", "features", "auth", "Gone.ts");
+  writeFile(trackedFile, original);
+  writeFile(deletedFile, original);
+
+  const git = (...args) =>
+    execFileSync(
+      "git",
+      ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args],
+      { cwd: repo, stdio: "pipe" },
+    );
+  git("init", "-q");
+  git("add", "-A");
+  git("commit", "-q", "-m", "init");
+
+  fs.appendFileSync(deletedFile, "export const gone = 1;\n");
+  git("add", "-A");
+  fs.rmSync(deletedFile);
+  const untrackedFile = path.join(root, "src", "features", "cart", "Cart.ts");
+  writeFile(untrackedFile, original);
+
+  runCli(root, ["--write", "--staged"]);
+  assert.equal(readFile(trackedFile), original);
+
+  runCli(root, ["--write", "--changed"]);
+  assert.equal(readFile(trackedFile), original);
+  assert.equal(
+    readFile(untrackedFile),
+    'import { format } from "@/lib/format";\n',
+  );
+});
+
+test("rewrites stdin as if it lived at --stdin-filepath", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      baseUrl: ".",
+      paths: { "@/*": ["src/*"] },
+    },
+  });
+  writeFile(path.join(root, "src", "lib", "format.ts"), "export {};\n");
+  const pageFile = path.join(root, "src", "pages", "deep", "Home.ts");
+  writeFile(pageFile, "export {};\n");
+
+  const run = (input, filePath) =>
+    spawnSync(
+      process.execPath,
+      [CLI_PATH, root, "--stdin", "--stdin-filepath", filePath],
+      { input, encoding: "utf8" },
+    );
+
+  const edited = run(
+    'import { format } from "../../lib/format";\nformat();',
+    pageFile,
+  );
+  assert.equal(edited.status, 0);
+  assert.equal(
+    edited.stdout,
+    'import { format } from "@/lib/format";\nformat();',
+  );
+  assert.equal(readFile(pageFile), "export {};\n");
+
+  const unsaved = run(
+    'import { format } from "../../lib/format";\n',
+    path.join(root, "src", "pages", "deep", "New.ts"),
+  );
+  assert.equal(unsaved.stdout, 'import { format } from "@/lib/format";\n');
+
+  const untouched = run('import { format } from "@/lib/format";\n', pageFile);
+  assert.equal(untouched.stdout, 'import { format } from "@/lib/format";\n');
+
+  const importsRoot = mkdtemp();
+  writeJson(path.join(importsRoot, "package.json"), {
+    name: "app",
+    imports: { "#lib/*": "./src/lib/*" },
+  });
+  writeFile(path.join(importsRoot, "src", "lib", "format.ts"), "export {};\n");
+  const newFolder = spawnSync(
+    process.execPath,
+    [
+      CLI_PATH,
+      importsRoot,
+      "--stdin",
+      "--stdin-filepath",
+      path.join(importsRoot, "src", "new", "deep", "New.ts"),
+    ],
+    { input: 'import { format } from "../../lib/format";\n', encoding: "utf8" },
+  );
+  assert.equal(newFolder.status, 0, newFolder.stderr);
+  assert.equal(newFolder.stdout, 'import { format } from "#lib/format";\n');
+
+  const invalid = spawnCli(root, ["--stdin"]);
+  assert.equal(invalid.status, 1);
+  assert.match(invalid.stderr, /--stdin and --stdin-filepath/);
+});
+
+function supportsRecursiveWatch() {
+  try {
+    fs.watch(mkdtemp(), { recursive: true }).close();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+test(
+  "watches for changes and rewrites created and modified files",
+  {
+    skip: !supportsRecursiveWatch() && "recursive fs.watch is unavailable",
+  },
+  async () => {
+    const root = mkdtemp();
+
+    writeJson(path.join(root, "tsconfig.json"), {
+      compilerOptions: {
+        baseUrl: ".",
+        paths: { "@/*": ["src/*"] },
+      },
+    });
+    writeFile(path.join(root, "src", "lib", "format.ts"), "export {};\n");
+    writeFile(path.join(root, "lib", "shared.ts"), "export {};\n");
+
+    const messages = [];
+    const logger = {
+      log: (m) => messages.push(m),
+      warn: (m) => messages.push(m),
+    };
+    const waitFor = async (predicate) => {
+      for (let i = 0; i < 100 && !predicate(); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+      assert.ok(predicate(), messages.join("\n"));
+    };
+
+    const watcher = await watchImports({
+      root,
+      write: true,
+      debounce: 20,
+      logger,
+    });
+    try {
+      const pageFile = path.join(root, "src", "pages", "deep", "Home.ts");
+      writeFile(pageFile, 'import { format } from "../../lib/format";\n');
+      await waitFor(() => readFile(pageFile).includes('"@/lib/format"'));
+      assert.match(
+        messages.join("\n"),
+        /\[rewrite\] src\/pages\/deep\/Home\.ts:1:24 "\.\.\/\.\.\/lib\/format" -> "@\/lib\/format"/,
+      );
+
+      writeJson(path.join(root, "tsconfig.json"), {
+        compilerOptions: {
+          baseUrl: ".",
+          paths: { "@/*": ["src/*"], "~/*": ["lib/*"] },
+        },
+      });
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      fs.appendFileSync(
+        pageFile,
+        'import { shared } from "../../../lib/shared";\n',
+      );
+      await waitFor(() => readFile(pageFile).includes('"~/shared"'));
+
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      assert.equal(
+        messages.filter((m) => m.startsWith("[rewrite]")).length,
+        2,
+        messages.join("\n"),
+      );
+    } finally {
+      await watcher.close();
+    }
+  },
+);
+
+test(
+  "stops watching with a warning when the watcher fails",
+  {
+    skip: !supportsRecursiveWatch() && "recursive fs.watch is unavailable",
+  },
+  async () => {
+    const root = mkdtemp();
+    writeJson(path.join(root, "tsconfig.json"), { compilerOptions: {} });
+
+    const messages = [];
+    const realWatch = fs.watch;
+    let fsWatcher;
+    fs.watch = (...args) => (fsWatcher = realWatch(...args));
+    let watcher;
+    try {
+      watcher = await watchImports({
+        root,
+        logger: { log: () => {}, warn: (m) => messages.push(m) },
+      });
+    } finally {
+      fs.watch = realWatch;
+    }
+    fsWatcher.emit("error", new Error("ENOSPC: System limit reached"));
+    assert.deepEqual(messages, [
+      `[warn] Stopped watching ${root}: ENOSPC: System limit reached`,
+    ]);
+    await watcher.close();
+  },
+);
+
+test("keeps full specifiers when reshaping imports of NodeNext ESM files", () => {
+  const root = mkdtemp();
+
+  writeJson(path.join(root, "package.json"), { type: "module" });
+  writeJson(path.join(root, "tsconfig.json"), {
+    compilerOptions: {
+      module: "nodenext",
+      moduleResolution: "nodenext",
+      noEmit: true,
+      paths: { "@/*": ["./src/*"] },
+    },
+  });
+  writeFile(path.join(root, "src", "lib", "index.ts"), "export const a = 1;\n");
+  writeFile(path.join(root, "src", "lib", "foo.ts"), "export const b = 1;\n");
+
+  const pageFile = path.join(root, "src", "pages", "deep", "Home.ts");
+  writeFile(
+    pageFile,
+    'import { a } from "../../lib/index.js";\n' +
+      'import { b } from "../../lib/foo.js";\n',
+  );
+
+  runCli(root, [
+    "--write",
+    "--normalize",
+    "--index",
+    "collapse",
+    "--extensions",
+    "remove",
+  ]);
+  assert.equal(
+    readFile(pageFile),
+    'import { a } from "@/lib/index.js";\n' +
+      'import { b } from "@/lib/foo.js";\n',
+  );
+  execFileSync(
+    process.execPath,
+    [require.resolve("typescript/bin/tsc"), "-p", root],
+    { stdio: "pipe" },
+  );
+});